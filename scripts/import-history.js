@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * RAMA Chat App - Chat History Import
+ *
+ * Imports messages exported from another chat tool into existing groups.
+ * The file format is documented in src/services/importService.js.
+ * Usage: node scripts/import-history.js <file> [options]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const { parseNdjson, readImportDocument, importMessages } = require('../src/services/importService');
+
+const showHelp = () => {
+    console.log(`
+📥 RAMA Chat App - Chat History Import
+
+Usage: node scripts/import-history.js <file> [options]
+
+<file> is a JSON document ({ "source", "groupId", "messages": [...] } or a bare array of messages)
+or NDJSON (.ndjson / .jsonl, one message per line).
+
+Options:
+  --source <name>    Name of the system the history comes from (required unless set in the file)
+  --group <id>       Group for messages that do not name one
+  --files <dir>      Directory that attachment paths are relative to; files are copied into uploads
+  --report <file>    Also write the full report as JSON to this file
+  --dry-run          Check users, groups and attachments without writing anything
+  help               Show this help message
+
+Running the same import again is safe: messages already imported are skipped,
+so a failed import can simply be re-run to finish it.
+
+Examples:
+  node scripts/import-history.js history.json --dry-run
+  node scripts/import-history.js general.ndjson --source slack --group 64f1c2... --files ./slack-export
+    `);
+};
+
+const parseArgs = (argv) => {
+    const options = { dryRun: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '--source':
+                options.source = argv[++i];
+                break;
+            case '--group':
+                options.groupId = argv[++i];
+                break;
+            case '--files':
+                options.filesDir = argv[++i];
+                break;
+            case '--report':
+                options.reportFile = argv[++i];
+                break;
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            default:
+                positional.push(arg);
+        }
+    }
+
+    return { file: positional[0], options };
+};
+
+// NDJSON files are streamed line by line so large exports never have to fit in memory
+const readInput = (file, options) => {
+    if (/\.(ndjson|jsonl)$/i.test(file)) {
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+        return { records: parseNdjson(lines), source: options.source, groupId: options.groupId };
+    }
+
+    let document;
+    try {
+        document = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        return { error: `Could not parse ${file}: ${error.message}` };
+    }
+    return readImportDocument(document, options);
+};
+
+const printReport = (report) => {
+    console.log(`\n📊 Import ${report.dryRun ? 'check (dry run)' : 'report'} for source "${report.source}"`);
+    console.log(`  Records read:       ${report.total}`);
+    console.log(`  ${report.dryRun ? 'Would import:      ' : 'Imported:          '} ${report.imported}`);
+    console.log(`  Already imported:   ${report.alreadyImported}`);
+    console.log(`  Not imported:       ${report.failed}`);
+
+    if (report.unmatchedUsers.length > 0) {
+        console.log('\n👤 Unmatched users (no account with this email):');
+        report.unmatchedUsers.forEach(({ email, messages }) => {
+            console.log(`   - ${email} (${messages} message${messages === 1 ? '' : 's'})`);
+        });
+    }
+
+    if (report.unmatchedAttachments.length > 0) {
+        console.log('\n📎 Attachments not found:');
+        report.unmatchedAttachments.forEach(({ id, file }) => console.log(`   - ${file} (message ${id})`));
+    }
+
+    if (report.unresolvedThreads.length > 0) {
+        console.log('\n🧵 Replies imported outside their thread (thread root not found):');
+        report.unresolvedThreads.forEach(({ id, parentId }) => console.log(`   - ${id} (root ${parentId})`));
+    }
+
+    if (report.errors.length > 0) {
+        console.log('\n⚠️  Invalid records:');
+        report.errors.forEach(({ record, id, error }) => {
+            console.log(`   - record ${record}${id ? ` (${id})` : ''}: ${error}`);
+        });
+    }
+};
+
+const main = async () => {
+    const { file, options } = parseArgs(process.argv.slice(2));
+
+    if (!file || ['help', '--help', '-h'].includes(file)) {
+        showHelp();
+        process.exit(file ? 0 : 1);
+    }
+
+    if (!fs.existsSync(file)) {
+        console.error(`❌ File not found: ${file}`);
+        process.exit(1);
+    }
+
+    if (options.filesDir && !fs.existsSync(options.filesDir)) {
+        console.error(`❌ Files directory not found: ${options.filesDir}`);
+        process.exit(1);
+    }
+
+    const input = readInput(file, options);
+    if (input.error) {
+        console.error(`❌ ${input.error}`);
+        process.exit(1);
+    }
+
+    await connectDB();
+    if (mongoose.connection.readyState !== 1) {
+        console.error('❌ Could not connect to MongoDB');
+        process.exit(1);
+    }
+
+    console.log(`📥 Importing ${path.basename(file)}${options.dryRun ? ' (dry run)' : ''}...`);
+    const report = await importMessages(input.records, {
+        source: input.source,
+        groupId: input.groupId,
+        filesDir: options.filesDir,
+        dryRun: options.dryRun
+    });
+
+    if (report.error) {
+        console.error(`❌ ${report.error}`);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+
+    printReport(report);
+
+    if (options.reportFile) {
+        fs.writeFileSync(options.reportFile, JSON.stringify(report, null, 2));
+        console.log(`\n📝 Full report written to ${options.reportFile}`);
+    }
+
+    await mongoose.disconnect();
+    console.log(`\n✅ Done${report.failed > 0 ? ' - re-run the same command after fixing the issues above to import the rest' : ''}`);
+};
+
+main().catch(async (error) => {
+    console.error('❌ Import failed:', error);
+    console.error('   Messages imported so far are kept; re-run the same command to resume.');
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+});
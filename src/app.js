@@ -7,11 +7,27 @@ require('dotenv').config();
 const authRoutes = require('./routes/authRoutes');
 const groupRoutes = require('./routes/groupRoutes');
 const messageRoutes = require('./routes/messageRoutes');
+const bookmarkRoutes = require('./routes/bookmarkRoutes');
+const draftRoutes = require('./routes/draftRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const importRoutes = require('./routes/importRoutes');
 const fileRoutes = require('./routes/fileRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const scheduledMessageRoutes = require('./routes/scheduledMessageRoutes');
+const directRoutes = require('./routes/directRoutes');
+const forwardingRoutes = require('./routes/forwardingRoutes');
 
 const app = express();
 
+// Reverse proxies in front of the app, so req.ip (used by the login limits) is the client's address.
+// TRUST_PROXY is a hop count, 'true', or a comma-separated list of proxy addresses / 'loopback'.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+    app.set('trust proxy', /^\d+$/.test(trustProxy)
+        ? parseInt(trustProxy)
+        : trustProxy === 'true' || trustProxy.split(',').map(proxy => proxy.trim()));
+}
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: process.env.NODE_ENV === 'production' ? undefined : false,
@@ -58,8 +74,15 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/groups', groupRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/drafts', draftRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/imports', importRoutes);
 app.use('/api/files', fileRoutes);
 app.use('/api/notifications', notificationRoutes);
+app.use('/api/scheduled-messages', scheduledMessageRoutes);
+app.use('/api/direct', directRoutes);
+app.use('/api/forwarding', forwardingRoutes);
 
 // Error handling
 app.use((error, req, res, next) => {
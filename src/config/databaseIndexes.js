@@ -1,7 +1,9 @@
 const mongoose = require('mongoose');
 
 /**
- * Create database indexes for optimal performance with large datasets
+ * Create database indexes for optimal performance with large datasets.
+ * Indexes declared in the model schemas are built by Mongoose and are not repeated here:
+ * MongoDB refuses the same key under a second name.
  */
 const createIndexes = async () => {
     try {
@@ -23,6 +25,7 @@ const createIndexes = async () => {
             // Forwarding and tags
             { key: { forwardedFrom: 1 }, name: 'forwardedFrom_idx' },
             { key: { tags: 1 }, name: 'tags_idx' },
+            { key: { mentions: 1, createdAt: -1 }, name: 'mentions_createdAt_idx' },
             // Compound index for user join date filtering
             { key: { groupId: 1, createdAt: 1 }, name: 'groupId_createdAt_asc_idx' }
         ]);
@@ -33,7 +36,8 @@ const createIndexes = async () => {
             { key: { managers: 1, createdAt: -1 }, name: 'managers_createdAt_idx' },
             { key: { region: 1 }, name: 'region_idx' },
             { key: { name: 'text' }, name: 'name_text_idx' },
-            { key: { createdBy: 1 }, name: 'createdBy_idx' }
+            { key: { createdBy: 1 }, name: 'createdBy_idx' },
+            { key: { type: 1, users: 1 }, name: 'type_users_idx' }
         ]);
 
         // User indexes
@@ -41,6 +45,7 @@ const createIndexes = async () => {
             { key: { email: 1 }, name: 'email_idx', unique: true },
             { key: { username: 1 }, name: 'username_idx' },
             { key: { groupId: 1 }, name: 'groupId_idx' },
+            { key: { 'memberships.groupId': 1 }, name: 'memberships_groupId_idx' },
             { key: { isOnline: 1, lastSeen: -1 }, name: 'isOnline_lastSeen_idx' },
             { key: { role: 1 }, name: 'role_idx' }
         ]);
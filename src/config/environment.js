@@ -159,6 +159,7 @@ class EnvironmentConfig {
         process.env.BCRYPT_ROUNDS = process.env.BCRYPT_ROUNDS || '12';
         process.env.RATE_LIMIT_WINDOW_MS = process.env.RATE_LIMIT_WINDOW_MS || '900000';
         process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '100';
+        process.env.TRUST_PROXY = process.env.TRUST_PROXY || '1'; // Production runs behind a reverse proxy
         
         console.log('✅ Production environment configured');
     }
@@ -170,6 +171,22 @@ class EnvironmentConfig {
         // JWT Configuration
         process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
         process.env.JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+        process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+        process.env.TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'RAMA Chat';
+        
+        // Login protection
+        process.env.LOGIN_MAX_ATTEMPTS = process.env.LOGIN_MAX_ATTEMPTS || '10';
+        process.env.LOGIN_PIN_MAX_ATTEMPTS = process.env.LOGIN_PIN_MAX_ATTEMPTS || '5';
+        process.env.LOGIN_IP_MAX_ATTEMPTS = process.env.LOGIN_IP_MAX_ATTEMPTS || '50';
+        process.env.LOGIN_ATTEMPT_WINDOW = process.env.LOGIN_ATTEMPT_WINDOW || '15m';
+        process.env.LOGIN_LOCKOUT_DURATION = process.env.LOGIN_LOCKOUT_DURATION || '15m';
+        process.env.TRUST_PROXY = process.env.TRUST_PROXY || 'false';
+        
+        // Credential strength
+        process.env.PASSWORD_MIN_LENGTH = process.env.PASSWORD_MIN_LENGTH || '8';
+        process.env.PASSWORD_MIN_CHARACTER_CLASSES = process.env.PASSWORD_MIN_CHARACTER_CLASSES || '2';
+        process.env.PIN_MIN_LENGTH = process.env.PIN_MIN_LENGTH || '4';
+        process.env.PIN_MAX_LENGTH = process.env.PIN_MAX_LENGTH || '8';
         
         // MongoDB Configuration
         process.env.MONGO_SERVER_SELECTION_TIMEOUT = process.env.MONGO_SERVER_SELECTION_TIMEOUT || '30000';
@@ -200,6 +217,15 @@ class EnvironmentConfig {
         process.env.LOG_LEVEL = process.env.LOG_LEVEL || (this.isProduction ? 'warn' : 'info');
         process.env.LOG_FILE_PATH = process.env.LOG_FILE_PATH || './logs/app.log';
         
+        // Chat features
+        process.env.MAX_PINNED_MESSAGES = process.env.MAX_PINNED_MESSAGES || '10';
+        process.env.SCHEDULED_MESSAGES_POLL_INTERVAL = process.env.SCHEDULED_MESSAGES_POLL_INTERVAL || '15000';
+        process.env.RETENTION_JOB_INTERVAL = process.env.RETENTION_JOB_INTERVAL || '60000';
+        process.env.GROUP_EVENT_TTL_SECONDS = process.env.GROUP_EVENT_TTL_SECONDS || '604800';
+        process.env.EXPORT_SYNC_LIMIT = process.env.EXPORT_SYNC_LIMIT || '5000';
+        process.env.EXPORT_JOB_POLL_INTERVAL = process.env.EXPORT_JOB_POLL_INTERVAL || '10000';
+        process.env.EXPORT_FILE_TTL_HOURS = process.env.EXPORT_FILE_TTL_HOURS || '24';
+        
         // Body parsing limits
         process.env.JSON_LIMIT = process.env.JSON_LIMIT || '10mb';
         process.env.URL_LIMIT = process.env.URL_LIMIT || '10mb';
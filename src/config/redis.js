@@ -36,35 +36,86 @@ const connectRedis = async () => {
             return redisClient;
         } else {
             console.log('🔵 Redis disabled - using mock Redis');
-            return createMockRedis();
+            redisClient = createMockRedis();
+            return redisClient;
         }
     } catch (error) {
         console.error('Redis connection error:', error);
         console.log('🔵 Falling back to mock Redis');
-        return createMockRedis();
+        redisClient = createMockRedis();
+        return redisClient;
     }
 };
 
+// In-memory stand-in for a single instance without Redis. Same method names as the redis v5
+// client so callers don't need to care which one they got; values expire like they would in Redis.
 const createMockRedis = () => {
+    const store = new Map();
+
+    const read = (key) => {
+        const entry = store.get(key);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            store.delete(key);
+            return null;
+        }
+        return entry;
+    };
+
+    const setEx = (key, ttl, value) => {
+        store.set(key, { value: String(value), expiresAt: Date.now() + ttl * 1000 });
+        return Promise.resolve('OK');
+    };
+
+    // INCRBY keeps the key's expiry, and a missing key counts from 0
+    const incrBy = (key, amount) => {
+        const entry = read(key);
+        const current = entry ? parseInt(entry.value, 10) : 0;
+        if (Number.isNaN(current)) {
+            return Promise.reject(new Error('ERR value is not an integer or out of range'));
+        }
+        store.set(key, { value: String(current + amount), expiresAt: entry ? entry.expiresAt : null });
+        return Promise.resolve(current + amount);
+    };
+
     return {
-        setex: (key, ttl, value) => {
-            console.log('Redis setex (mock):', key, ttl, value);
+        isMock: true,
+        setEx,
+        setex: setEx,
+        set: (key, value) => {
+            store.set(key, { value: String(value), expiresAt: null });
             return Promise.resolve('OK');
         },
-        get: (key) => {
-            console.log('Redis get (mock):', key);
-            return Promise.resolve(null);
-        },
+        get: (key) => Promise.resolve(read(key)?.value ?? null),
         del: (...keys) => {
-            console.log('Redis del (mock):', keys);
+            let removed = 0;
+            for (const key of keys.flat()) {
+                if (read(key) && store.delete(key)) removed++;
+            }
+            return Promise.resolve(removed);
+        },
+        incr: (key) => incrBy(key, 1),
+        decr: (key) => incrBy(key, -1),
+        expire: (key, seconds) => {
+            const entry = read(key);
+            if (!entry) return Promise.resolve(0);
+            entry.expiresAt = Date.now() + seconds * 1000;
             return Promise.resolve(1);
         },
+        // Seconds left, -1 for a key without expiry and -2 for a missing key, as in Redis
+        ttl: (key) => {
+            const entry = read(key);
+            if (!entry) return Promise.resolve(-2);
+            if (!entry.expiresAt) return Promise.resolve(-1);
+            return Promise.resolve(Math.ceil((entry.expiresAt - Date.now()) / 1000));
+        },
         keys: (pattern) => {
-            console.log('Redis keys (mock):', pattern);
-            return Promise.resolve([]);
+            const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+            const regex = new RegExp(`^${escaped}$`);
+            return Promise.resolve([...store.keys()].filter(key => regex.test(key) && read(key)));
         },
         disconnect: () => {
-            console.log('Mock Redis disconnect');
+            store.clear();
             return Promise.resolve();
         }
     };
@@ -83,6 +134,7 @@ const disconnectRedis = async () => {
 
 module.exports = {
     connectRedis,
+    createMockRedis,
     getRedisClient,
     disconnectRedis
 };
@@ -1,7 +1,70 @@
+const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
-const { signAccess } = require('../utils/token');
-const { getRedisClient } = require('../config/redis');
+const { startSession, refreshSession, revokeSession, revokeUserSessions } = require('../services/sessionService');
+const { getLoginChallenge } = require('../services/twoFactorService');
+const { beginLoginAttempt, loginFailed, loginSucceeded, unlockAccount } = require('../services/loginThrottleService');
+const { validatePassword, validatePin } = require('../utils/credentialRules');
+
+const requestMeta = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip, deviceName: req.body?.deviceName });
+
+/**
+ * Log in a user whose credentials (and second factor, if any) checked out: mark them online,
+ * start a session and respond with its tokens. `extra` is merged into the response.
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+    // Update online status
+    await User.findByIdAndUpdate(user._id, {
+        isOnline: true,
+        lastSeen: new Date(),
+    });
+
+    // Each login is its own session, with its own access and refresh tokens
+    const { token, refreshToken, refreshTokenExpiresAt, sessionId } = await startSession(user, requestMeta(req));
+
+    res.json({
+        ...extra,
+        token,
+        refreshToken,
+        refreshTokenExpiresAt,
+        sessionId,
+        user: {
+            id: user._id,
+            username: user.username,
+            email: user.email,
+            role: user.role,
+            groupId: user.groupId,
+            memberships: user.memberships,
+            isOnline: user.isOnline,
+        },
+    });
+};
+
+// Refused because of too many failed attempts (429) or a lockout (423)
+const sendThrottled = (res, { error, status, retryAfter }) => {
+    res.set('Retry-After', String(retryAfter));
+    res.status(status).json({ error, retryAfter });
+};
+
+/**
+ * Answer a failed login attempt: 401 with `error`, or 423 if this failure locked the account
+ */
+const rejectLogin = async (req, res, { email, method, user, error }) => {
+    const locked = await loginFailed(email, method, { userId: user?._id, ip: req.ip, io: req.app.get('io') });
+    if (locked) {
+        return sendThrottled(res, locked);
+    }
+    res.status(401).json({ error });
+};
+
+// With 2FA on (or required for the user's role) a login only gets a challenge token; the session
+// is started by POST /2fa/verify (or /2fa/enable when the user still has to enroll)
+const sendLoginChallenge = (res, challenge, status = 200) =>
+    res.status(status).json({
+        twoFactorRequired: true,
+        setupRequired: challenge.setupRequired,
+        challengeToken: challenge.challengeToken,
+    });
 
 const getUsers = async (req, res) => {
     try {
@@ -23,6 +86,11 @@ const register = async (req, res) => {
     try {
         const { username, email, password, role = 'user' } = req.body;
 
+        const passwordError = validatePassword(password, { username, email });
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
         // Check if user exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -40,17 +108,26 @@ const register = async (req, res) => {
             role,
         });
 
-        const token = signAccess(user);
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return sendLoginChallenge(res, challenge, 201);
+        }
+
+        const { token, refreshToken, refreshTokenExpiresAt, sessionId } = await startSession(user, requestMeta(req));
 
         res.status(201).json({
             message: 'User created successfully',
             token,
+            refreshToken,
+            refreshTokenExpiresAt,
+            sessionId,
             user: {
                 id: user._id,
                 username: user.username,
                 email: user.email,
                 role: user.role,
                 groupId: user.groupId,
+                memberships: user.memberships,
             },
         });
     } catch (error) {
@@ -62,68 +139,52 @@ const login = async (req, res) => {
     try {
         const { email, password } = req.body;
 
+        const throttled = await beginLoginAttempt(email, 'password', { ip: req.ip });
+        if (throttled) {
+            return sendThrottled(res, throttled);
+        }
+
         // Find user
         const user = await User.findOne({ email }).populate('groupId');
         if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return rejectLogin(req, res, { email, method: 'password', error: 'Invalid credentials' });
         }
 
         // Check password
         const isMatch = await bcrypt.compare(password, user.password);
         if (!isMatch) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+            return rejectLogin(req, res, { email, method: 'password', user, error: 'Invalid credentials' });
         }
+        await loginSucceeded(email, 'password', { ip: req.ip });
 
-        // Update online status
-        await User.findByIdAndUpdate(user._id, {
-            isOnline: true,
-            lastSeen: new Date(),
-        });
-
-        const token = signAccess(user);
-
-        // Store refresh token in Redis (optional)
-        const refreshToken = `refresh_${user._id}_${Date.now()}`;
-        const redis = getRedisClient();
-        if (redis) {
-            await redis.setEx(refreshToken, 7 * 24 * 60 * 60, user._id.toString());
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return sendLoginChallenge(res, challenge);
         }
 
-        res.json({
-            token,
-            refreshToken,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                groupId: user.groupId,
-                isOnline: user.isOnline,
-            },
-        });
+        await completeLogin(req, res, user);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 };
 
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working; using it again ends the whole session.
+ */
 const refreshToken = async (req, res) => {
     try {
-        const { refreshToken } = req.body;
-
-        const redis = getRedisClient();
-        const userId = redis ? await redis.get(refreshToken) : null;
-        if (!userId) {
-            return res.status(401).json({ error: 'Invalid refresh token' });
-        }
-
-        const user = await User.findById(userId);
-        if (!user) {
-            return res.status(401).json({ error: 'User not found' });
+        const result = await refreshSession(req.app.get('io'), req.body.refreshToken, requestMeta(req));
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error, ...(result.setupRequired && { setupRequired: true }) });
         }
 
-        const newToken = signAccess(user);
-
-        res.json({ token: newToken });
+        res.json({
+            token: result.token,
+            refreshToken: result.refreshToken,
+            refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+            sessionId: result.sessionId
+        });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -139,11 +200,8 @@ const logout = async (req, res) => {
             lastSeen: new Date(),
         });
 
-        // Remove all refresh tokens for this user (optional cleanup)
-        const keys = redis ? await redis.keys(`refresh_${userId}_*`) : [];
-        if (keys.length > 0 && redis) {
-            await redis.del(...keys);
-        }
+        // End this device's session: its refresh token, access tokens and sockets
+        await revokeSession(req.app.get('io'), req.sessionId, { userId, reason: 'logout' });
 
         res.json({ message: 'Logged out successfully' });
     } catch (error) {
@@ -174,6 +232,11 @@ const createUser = async (req, res) => {
             });
         }
 
+        const credentialError = validatePassword(password, { username, email }) || (pin ? validatePin(pin) : null);
+        if (credentialError) {
+            return res.status(400).json({ error: credentialError });
+        }
+
         // Check if user exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -213,6 +276,140 @@ const createUser = async (req, res) => {
     }
 };
 
+/**
+ * Re-check the caller's password before a credential change. Wrong guesses count towards the
+ * same lockout as logins. Responds and returns false when the check fails.
+ */
+const checkCurrentPassword = async (req, res, password) => {
+    const { email } = req.user;
+
+    const throttled = await beginLoginAttempt(email, 'password', { ip: req.ip });
+    if (throttled) {
+        sendThrottled(res, throttled);
+        return false;
+    }
+
+    if (typeof password !== 'string' || !await bcrypt.compare(password, req.user.password)) {
+        await rejectLogin(req, res, { email, method: 'password', user: req.user, error: 'Current password is incorrect' });
+        return false;
+    }
+
+    await loginSucceeded(email, 'password', { ip: req.ip });
+    return true;
+};
+
+// Whoever changed the credentials keeps this session; every other device has to log in again
+const endOtherSessions = (req) =>
+    revokeUserSessions(req.app.get('io'), req.user._id, {
+        exceptSessionId: req.sessionId,
+        reason: 'credentials_changed',
+        revokedBy: req.user._id
+    });
+
+/**
+ * Change the caller's password; needs the current one
+ */
+const changePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!await checkCurrentPassword(req, res, currentPassword)) return;
+
+        const passwordError = validatePassword(newPassword, req.user);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+        if (await bcrypt.compare(newPassword, req.user.password)) {
+            return res.status(400).json({ error: 'New password must be different from the current one' });
+        }
+
+        await User.findByIdAndUpdate(req.user._id, {
+            password: await bcrypt.hash(newPassword, 12),
+            passwordChangedAt: new Date(),
+        });
+        const revokedSessions = await endOtherSessions(req);
+
+        res.json({ message: 'Password changed successfully', revokedSessions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Set or change the caller's PIN; needs the current password
+ */
+const setPin = async (req, res) => {
+    try {
+        const { currentPassword, pin } = req.body;
+
+        if (!await checkCurrentPassword(req, res, currentPassword)) return;
+
+        const pinError = validatePin(pin);
+        if (pinError) {
+            return res.status(400).json({ error: pinError });
+        }
+
+        const hadPin = Boolean(req.user.pin);
+        await User.findByIdAndUpdate(req.user._id, {
+            pin: await bcrypt.hash(pin, 12),
+            pinChangedAt: new Date(),
+        });
+        const revokedSessions = await endOtherSessions(req);
+
+        res.json({ message: hadPin ? 'PIN changed successfully' : 'PIN set successfully', revokedSessions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Remove the caller's PIN, turning off PIN login; needs the current password
+ */
+const removePin = async (req, res) => {
+    try {
+        const { currentPassword } = req.body;
+
+        if (!req.user.pin) {
+            return res.status(400).json({ error: 'PIN not set for this user' });
+        }
+        if (!await checkCurrentPassword(req, res, currentPassword)) return;
+
+        await User.findByIdAndUpdate(req.user._id, {
+            $unset: { pin: 1 },
+            $set: { pinChangedAt: new Date() },
+        });
+        const revokedSessions = await endOtherSessions(req);
+
+        res.json({ message: 'PIN removed successfully', revokedSessions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Admin: lift a lockout from too many failed logins
+ */
+const unlockUser = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const user = await User.findById(userId, { email: 1 }).lean();
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const wasLocked = await unlockAccount(user.email);
+        console.log(`🔓 Login attempts of user ${user._id} reset by admin ${req.user._id}`);
+
+        res.json({ message: wasLocked ? 'Account unlocked' : 'Account was not locked', wasLocked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
 const loginWithPin = async (req, res) => {
     try {
         const { email, pin } = req.body;
@@ -223,44 +420,31 @@ const loginWithPin = async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Check if user has a PIN
+        // Check if user has a PIN. There is nothing to guess without one, so these tries are not
+        // counted; counting them would let anyone lock the account.
         if (!user.pin) {
             return res.status(401).json({ error: 'PIN not set for this user' });
         }
 
-        // Check PIN
+        // PINs are short, so they get fewer tries than passwords
+        const throttled = await beginLoginAttempt(email, 'pin', { ip: req.ip });
+        if (throttled) {
+            return sendThrottled(res, throttled);
+        }
+
+        // Check PIN (a PIN replaces the password, never the second factor)
         const isPinMatch = await bcrypt.compare(pin, user.pin);
         if (!isPinMatch) {
-            return res.status(401).json({ error: 'Invalid PIN' });
+            return rejectLogin(req, res, { email, method: 'pin', user, error: 'Invalid PIN' });
         }
+        await loginSucceeded(email, 'pin', { ip: req.ip });
 
-        // Update online status
-        await User.findByIdAndUpdate(user._id, {
-            isOnline: true,
-            lastSeen: new Date(),
-        });
-
-        const token = signAccess(user);
-
-        // Store refresh token in Redis (optional)
-        const refreshToken = `refresh_${user._id}_${Date.now()}`;
-        const redis = getRedisClient();
-        if (redis) {
-            await redis.setEx(refreshToken, 7 * 24 * 60 * 60, user._id.toString());
+        const challenge = await getLoginChallenge(user);
+        if (challenge) {
+            return sendLoginChallenge(res, challenge);
         }
 
-        res.json({
-            token,
-            refreshToken,
-            user: {
-                id: user._id,
-                username: user.username,
-                email: user.email,
-                role: user.role,
-                groupId: user.groupId,
-                isOnline: user.isOnline,
-            },
-        });
+        await completeLogin(req, res, user);
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -269,6 +453,10 @@ const loginWithPin = async (req, res) => {
 
 
 module.exports = {
+    completeLogin,
+    sendThrottled,
+    rejectLogin,
+    checkCurrentPassword,
     getUsers,
     register,
     login,
@@ -277,4 +465,8 @@ module.exports = {
     logout,
     getProfile,
     createUser,
+    changePassword,
+    setPin,
+    removePin,
+    unlockUser,
 };
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const { getMembership } = require('../services/membershipService');
+
+const MAX_NOTE_LENGTH = 500;
+
+const parseNote = (note) => {
+    if (note === undefined || note === null) return { note: '' };
+    if (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH) {
+        return { error: `note must be a string of at most ${MAX_NOTE_LENGTH} characters` };
+    }
+    return { note: note.trim() };
+};
+
+/**
+ * Bookmark a message from one of the caller's groups
+ */
+const createBookmark = async (req, res) => {
+    try {
+        const { messageId } = req.body;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
+        const { note, error } = parseNote(req.body.note);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const message = await Message.findById(messageId, { groupId: 1, deleted: 1, expiresAt: 1, createdAt: 1 }).lean();
+        if (!message || message.deleted?.isDeleted || (message.expiresAt && message.expiresAt <= new Date())) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const group = await Group.findById(message.groupId, { users: 1, managers: 1 }).lean();
+        const isMember = group && (
+            group.users.some(user => user.toString() === userId.toString()) ||
+            group.managers.some(manager => manager.toString() === userId.toString())
+        );
+        if (!isMember) {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        // Messages from before the caller joined stay hidden, as in getMessages
+        const membership = await getMembership(userId, message.groupId);
+        if (membership?.joinedAt && message.createdAt < membership.joinedAt) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        let bookmark;
+        try {
+            bookmark = await Bookmark.create({ userId, messageId, groupId: message.groupId, note });
+        } catch (createError) {
+            if (createError.code !== 11000) throw createError;
+            return res.status(409).json({ error: 'Message is already bookmarked' });
+        }
+
+        res.status(201).json({ message: 'Bookmark saved', bookmark });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * List the caller's bookmarks, newest first.
+ * Messages that were deleted, have expired or are in groups the caller has left show as unavailable.
+ */
+const getBookmarks = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+        const userId = req.user._id;
+
+        const bookmarks = await Bookmark.find({ userId })
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .populate({
+                path: 'messageId',
+                select: 'text type file senderId groupId parentId createdAt edited deleted expiresAt',
+                populate: [
+                    { path: 'senderId', select: 'username email' },
+                    { path: 'groupId', select: 'name region type users managers' }
+                ]
+            })
+            .lean();
+
+        // Join dates of the groups on this page, so messages from before the caller joined stay hidden
+        const joinedAt = new Map();
+        for (const groupId of new Set(bookmarks.map(bookmark => bookmark.groupId.toString()))) {
+            joinedAt.set(groupId, (await getMembership(userId, groupId))?.joinedAt || null);
+        }
+
+        const now = new Date();
+        const items = bookmarks.map(bookmark => {
+            const message = bookmark.messageId;
+            const group = message?.groupId;
+            const isMember = group && (
+                group.users.some(user => user.toString() === userId.toString()) ||
+                group.managers.some(manager => manager.toString() === userId.toString())
+            );
+            const groupJoinedAt = joinedAt.get(bookmark.groupId.toString());
+            const available = !!message && !message.deleted?.isDeleted &&
+                !(message.expiresAt && message.expiresAt <= now) && isMember &&
+                !(groupJoinedAt && message.createdAt < groupJoinedAt);
+
+            const { users, managers, ...groupInfo } = group || {};
+            return {
+                _id: bookmark._id,
+                messageId: message?._id || null,
+                groupId: bookmark.groupId,
+                note: bookmark.note,
+                createdAt: bookmark.createdAt,
+                updatedAt: bookmark.updatedAt,
+                available,
+                message: available ? { ...message, groupId: groupInfo, deleted: undefined } : null
+            };
+        });
+
+        const total = await Bookmark.countDocuments({ userId });
+
+        res.json({
+            bookmarks: items,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Change the private note on a bookmark
+ */
+const updateBookmark = async (req, res) => {
+    try {
+        const { bookmarkId } = req.params;
+
+        if (!mongoose.isValidObjectId(bookmarkId)) {
+            return res.status(400).json({ error: 'Invalid bookmark ID' });
+        }
+
+        const { note, error } = parseNote(req.body.note);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const bookmark = await Bookmark.findOneAndUpdate(
+            { _id: bookmarkId, userId: req.user._id },
+            { $set: { note } },
+            { new: true }
+        ).lean();
+
+        if (!bookmark) {
+            return res.status(404).json({ error: 'Bookmark not found' });
+        }
+
+        res.json({ message: 'Bookmark updated', bookmark });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const deleteBookmark = async (req, res) => {
+    try {
+        const { bookmarkId } = req.params;
+
+        if (!mongoose.isValidObjectId(bookmarkId)) {
+            return res.status(400).json({ error: 'Invalid bookmark ID' });
+        }
+
+        const result = await Bookmark.deleteOne({ _id: bookmarkId, userId: req.user._id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Bookmark not found' });
+        }
+
+        res.json({ message: 'Bookmark removed' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    createBookmark,
+    getBookmarks,
+    updateBookmark,
+    deleteBookmark,
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { setSetting } = require('../services/settingsService');
+const {
+    POLICY_KEY,
+    validateDirectMessagePolicy,
+    getDirectMessagePolicy,
+    canDirectMessage,
+    getOrCreateConversation
+} = require('../services/directMessageService');
+
+const openConversation = async (req, res) => {
+    try {
+        const { userId } = req.params;
+
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        if (userId === req.user._id.toString()) {
+            return res.status(400).json({ error: 'You cannot start a conversation with yourself' });
+        }
+
+        const recipient = await User.findById(userId, { username: 1, email: 1, role: 1 }).lean();
+        if (!recipient) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!(await canDirectMessage(req.user, recipient))) {
+            return res.status(403).json({ error: 'You are not allowed to send direct messages to this user' });
+        }
+
+        const { conversation, created } = await getOrCreateConversation(req.user, recipient);
+
+        // Subscribe both participants' open sockets to the new conversation room
+        const io = req.app.get('io');
+        if (io && created) {
+            for (const participantId of conversation.users) {
+                io.in(`user:${participantId}`).socketsJoin(`group:${conversation._id}`);
+            }
+            io.to(`user:${recipient._id}`).emit('direct:created', {
+                conversation: { _id: conversation._id, type: 'direct' },
+                with: { _id: req.user._id, username: req.user.username, email: req.user.email }
+            });
+        }
+
+        res.status(created ? 201 : 200).json({
+            conversation: {
+                _id: conversation._id,
+                type: 'direct',
+                createdAt: conversation.createdAt,
+                with: recipient
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const getConversations = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+        const userId = req.user._id;
+        const query = { type: 'direct', users: userId };
+
+        const conversations = await Group.aggregate([
+            { $match: query },
+            {
+                $lookup: {
+                    from: 'messages',
+                    let: { conversationId: '$_id' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: { $eq: ['$groupId', '$$conversationId'] },
+                                'deleted.isDeleted': { $ne: true },
+                                parentId: null
+                            }
+                        },
+                        { $sort: { createdAt: -1 } },
+                        { $limit: 1 },
+                        { $project: { text: 1, type: 1, senderId: 1, createdAt: 1, 'file.originalname': 1 } }
+                    ],
+                    as: 'lastMessage'
+                }
+            },
+            {
+                $lookup: {
+                    from: 'users',
+                    localField: 'users',
+                    foreignField: '_id',
+                    as: 'participants',
+                    pipeline: [{ $project: { username: 1, email: 1, role: 1, isOnline: 1, lastSeen: 1 } }]
+                }
+            },
+            {
+                $addFields: {
+                    lastMessage: { $arrayElemAt: ['$lastMessage', 0] },
+                    lastActivityAt: { $ifNull: [{ $arrayElemAt: ['$lastMessage.createdAt', 0] }, '$createdAt'] },
+                    with: {
+                        $arrayElemAt: [{
+                            $filter: { input: '$participants', cond: { $ne: ['$$this._id', userId] } }
+                        }, 0]
+                    }
+                }
+            },
+            { $sort: { lastActivityAt: -1 } },
+            { $skip: skip },
+            { $limit: parseInt(limit) },
+            { $project: { _id: 1, type: 1, createdAt: 1, lastMessage: 1, lastActivityAt: 1, with: 1 } }
+        ]);
+
+        const total = await Group.countDocuments(query);
+
+        res.json({
+            conversations,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const getPolicy = async (req, res) => {
+    try {
+        res.json({ policy: await getDirectMessagePolicy() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const updatePolicy = async (req, res) => {
+    try {
+        const { policy, error } = validateDirectMessagePolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await setSetting(POLICY_KEY, policy, req.user._id);
+
+        res.json({ message: 'Direct message policy updated successfully', policy });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    openConversation,
+    getConversations,
+    getPolicy,
+    updatePolicy,
+};
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { saveDraft, deleteDraft, getDrafts: getDraftsForUser } = require('../services/draftService');
+
+/**
+ * The caller's drafts, optionally for one group
+ */
+const getDrafts = async (req, res) => {
+    try {
+        const { groupId } = req.query;
+
+        if (groupId && !mongoose.isValidObjectId(groupId)) {
+            return res.status(400).json({ error: 'Invalid group ID' });
+        }
+
+        res.json({ drafts: await getDraftsForUser(req.user._id, { groupId }) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Save the caller's draft for a group; with parentId, for a thread in it.
+ * The caller's other devices receive draft:updated (or draft:cleared for empty text).
+ */
+const updateDraft = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { text, parentId } = req.body;
+        const userId = req.user._id;
+
+        const result = await saveDraft(userId, { groupId, parentId, text });
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const io = req.app.get('io');
+        if (result.draft) {
+            io?.to(`user:${userId}`).emit('draft:updated', result.draft);
+        } else {
+            io?.to(`user:${userId}`).emit('draft:cleared', { groupId, parentId: result.parentId });
+        }
+
+        res.json({ message: result.draft ? 'Draft saved' : 'Draft cleared', draft: result.draft });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const removeDraft = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { parentId } = req.query;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(groupId) || (parentId && !mongoose.isValidObjectId(parentId))) {
+            return res.status(400).json({ error: 'Invalid group or parent message ID' });
+        }
+
+        if (!await deleteDraft(userId, groupId, parentId)) {
+            return res.status(404).json({ error: 'Draft not found' });
+        }
+
+        req.app.get('io')?.to(`user:${userId}`).emit('draft:cleared', { groupId, parentId: parentId || null });
+
+        res.json({ message: 'Draft cleared' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    getDrafts,
+    updateDraft,
+    removeDraft,
+};
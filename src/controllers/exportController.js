@@ -0,0 +1,161 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const {
+    EXPORT_FORMATS,
+    resolveExportRequest,
+    buildExportQuery,
+    countExportMessages,
+    writeExport,
+    exportFileName,
+    exportFilePath
+} = require('../services/exportService');
+
+/**
+ * Export a group's messages as JSON, CSV or HTML.
+ * Small exports stream straight into the response; large ones (or async=true) become a
+ * background job and the response points at where to poll and download it.
+ */
+const exportGroupMessages = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { format = 'json', from, to } = req.query;
+
+        if (!mongoose.isValidObjectId(groupId)) {
+            return res.status(400).json({ error: 'Invalid group ID' });
+        }
+
+        const resolved = await resolveExportRequest(req.user, groupId, { format, from, to });
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+
+        const query = buildExportQuery(groupId, resolved.from, resolved.to);
+        const syncLimit = parseInt(process.env.EXPORT_SYNC_LIMIT) || 5000;
+        const tooLarge = (await countExportMessages(query, syncLimit + 1)) > syncLimit;
+
+        if (tooLarge || req.query.async === 'true') {
+            const job = await ExportJob.create({
+                requestedBy: req.user._id,
+                groupId,
+                format,
+                from: resolved.from,
+                to: resolved.to
+            });
+
+            return res.status(202).json({
+                message: 'Export queued. You will be notified when it is ready.',
+                job,
+                statusUrl: `/api/exports/${job._id}`,
+                downloadUrl: `/api/exports/${job._id}/download`
+            });
+        }
+
+        res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(resolved.group, format)}"`);
+
+        try {
+            await writeExport(res, {
+                format,
+                group: resolved.group,
+                query,
+                meta: { exportedAt: new Date(), exportedBy: req.user.username, from: resolved.from, to: resolved.to }
+            });
+            res.end();
+        } catch (error) {
+            // Headers are gone already, so the only way to signal failure is to cut the download short
+            console.error('Export stream error:', error);
+            res.destroy(error);
+        }
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * The caller's export jobs, newest first
+ */
+const getExportJobs = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+        const query = { requestedBy: req.user._id };
+
+        const jobs = await ExportJob.find(query, { lockedBy: 0, lockedAt: 0 })
+            .populate('groupId', 'name region')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await ExportJob.countDocuments(query);
+
+        res.json({
+            jobs,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const findOwnJob = (req) => {
+    const { jobId } = req.params;
+    if (!mongoose.isValidObjectId(jobId)) return null;
+    return ExportJob.findOne({ _id: jobId, requestedBy: req.user._id }, { lockedBy: 0, lockedAt: 0 }).lean();
+};
+
+const getExportJob = async (req, res) => {
+    try {
+        const job = await findOwnJob(req);
+        if (!job) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        res.json({
+            job,
+            ...(job.status === 'completed' && { downloadUrl: `/api/exports/${job._id}/download` })
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const downloadExport = async (req, res) => {
+    try {
+        const job = await findOwnJob(req);
+        if (!job) {
+            return res.status(404).json({ error: 'Export not found' });
+        }
+
+        if (job.status === 'expired') {
+            return res.status(410).json({ error: 'This export has expired. Please request a new one.' });
+        }
+
+        if (job.status !== 'completed') {
+            return res.status(409).json({ error: `Export is ${job.status}` });
+        }
+
+        const filePath = exportFilePath(job);
+        if (!fs.existsSync(filePath)) {
+            return res.status(410).json({ error: 'Export file is no longer available' });
+        }
+
+        res.setHeader('Content-Type', EXPORT_FORMATS[job.format].contentType);
+        res.download(filePath, job.fileName);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    exportGroupMessages,
+    getExportJobs,
+    getExportJob,
+    downloadExport,
+};
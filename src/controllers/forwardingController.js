@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const ForwardRequest = require('../models/ForwardRequest');
+const { setSetting } = require('../services/settingsService');
+const {
+    POLICY_KEY,
+    validateForwardingPolicy,
+    getForwardingPolicy,
+    reviewForwardRequest
+} = require('../services/forwardingService');
+
+const STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+/**
+ * Forward requests waiting for review in the groups the caller manages (all groups for admins).
+ * With mine=true, the caller's own requests instead.
+ */
+const getForwardRequests = async (req, res) => {
+    try {
+        const { status = 'pending', mine, page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+        const userId = req.user._id;
+
+        if (status !== 'all' && !STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: all, ${STATUSES.join(', ')}` });
+        }
+
+        const query = status === 'all' ? {} : { status };
+        if (mine === 'true') {
+            query.requestedBy = userId;
+        } else if (req.user.role !== 'admin') {
+            const managed = await Group.find({ managers: userId }, { _id: 1 }).lean();
+            query.targetGroupId = { $in: managed.map(group => group._id) };
+        }
+
+        const requests = await ForwardRequest.find(query)
+            .populate('messageId', 'text file createdAt')
+            .populate('sourceGroupId', 'name region')
+            .populate('targetGroupId', 'name region')
+            .populate('requestedBy', 'username email')
+            .populate('reviewedBy', 'username')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await ForwardRequest.countDocuments(query);
+
+        res.json({
+            requests,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit),
+            },
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const reviewRequest = (approve) => async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        if (!mongoose.isValidObjectId(requestId)) {
+            return res.status(400).json({ error: 'Invalid request ID' });
+        }
+
+        const result = await reviewForwardRequest(req.app.get('io'), {
+            requestId,
+            reviewer: req.user,
+            approve,
+            reason: typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 500) : undefined
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({
+            message: approve ? 'Forward approved' : 'Forward rejected',
+            request: result.request,
+            ...(result.message && { data: result.message })
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const approveForwardRequest = reviewRequest(true);
+const rejectForwardRequest = reviewRequest(false);
+
+/**
+ * Withdraw one of the caller's own pending forwards
+ */
+const cancelForwardRequest = async (req, res) => {
+    try {
+        const { requestId } = req.params;
+
+        if (!mongoose.isValidObjectId(requestId)) {
+            return res.status(400).json({ error: 'Invalid request ID' });
+        }
+
+        const request = await ForwardRequest.findOneAndUpdate(
+            { _id: requestId, requestedBy: req.user._id, status: 'pending' },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        ).lean();
+
+        if (!request) {
+            return res.status(404).json({ error: 'Pending forward request not found' });
+        }
+
+        res.json({ message: 'Forward request cancelled', request });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const getPolicy = async (req, res) => {
+    try {
+        res.json({ policy: await getForwardingPolicy() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const updatePolicy = async (req, res) => {
+    try {
+        const { policy, error } = validateForwardingPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await setSetting(POLICY_KEY, policy, req.user._id);
+
+        res.json({ message: 'Forwarding policy updated successfully', policy });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    getForwardRequests,
+    approveForwardRequest,
+    rejectForwardRequest,
+    cancelForwardRequest,
+    getPolicy,
+    updatePolicy,
+};
@@ -1,6 +1,16 @@
+const mongoose = require('mongoose');
 const Group = require('../models/Group');
 const User = require('../models/User');
 const Message = require('../models/Message');
+const { validateRetentionPolicy } = require('../services/retentionService');
+const { emitGroupEvent, getEventsSince } = require('../services/groupEventService');
+const {
+    addMembership,
+    removeMembership,
+    setMembershipRole,
+    managesAnyGroup,
+    getMembership
+} = require('../services/membershipService');
 
 const createGroup = async (req, res) => {
     try {
@@ -15,8 +25,11 @@ const createGroup = async (req, res) => {
             users: [createdBy],
         });
 
-        // Update user's groupId
-        await User.findByIdAndUpdate(createdBy, { groupId: group._id });
+        // Record the creator's membership (as manager) without replacing their primary group
+        await addMembership(createdBy, group._id, { role: 'manager' });
+
+        // Subscribe the creator's open sockets to the new group room
+        req.app.get('io')?.in(`user:${createdBy}`).socketsJoin(`group:${group._id}`);
 
         res.status(201).json({
             message: 'Group created successfully',
@@ -33,8 +46,9 @@ const getGroups = async (req, res) => {
         const skip = (page - 1) * limit;
         const userId = req.user._id;
 
-        // Base query to only get groups where user is a member
+        // Base query to only get groups where user is a member (direct conversations are listed separately)
         const baseQuery = { 
+            type: { $ne: 'direct' },
             $or: [
                 { users: userId },
                 { managers: userId }
@@ -148,7 +162,7 @@ const joinGroup = async (req, res) => {
         const userId = req.user._id;
 
         const group = await Group.findById(groupId);
-        if (!group) {
+        if (!group || group.type === 'direct') {
             return res.status(404).json({ error: 'Group not found' });
         }
 
@@ -161,8 +175,9 @@ const joinGroup = async (req, res) => {
         group.users.push(userId);
         await group.save();
 
-        // Update user's groupId
-        await User.findByIdAndUpdate(userId, { groupId });
+        // Record the membership; the user keeps their other groups
+        await addMembership(userId, groupId);
+        req.app.get('io')?.in(`user:${userId}`).socketsJoin(`group:${groupId}`);
 
         res.json({ message: 'Successfully joined the group' });
     } catch (error) {
@@ -185,8 +200,9 @@ const leaveGroup = async (req, res) => {
         group.managers.pull(userId);
         await group.save();
 
-        // Clear user's groupId
-        await User.findByIdAndUpdate(userId, { groupId: null });
+        // Drop only this membership
+        await removeMembership(userId, groupId);
+        req.app.get('io')?.in(`user:${userId}`).socketsLeave(`group:${groupId}`);
 
         res.json({ message: 'Successfully left the group' });
     } catch (error) {
@@ -204,6 +220,10 @@ const addUserToGroup = async (req, res) => {
             return res.status(404).json({ error: 'Group not found' });
         }
 
+        if (group.type === 'direct') {
+            return res.status(400).json({ error: 'Direct conversations cannot have members added' });
+        }
+
         if (req.user.role !== 'admin' && !group.createdBy.equals(req.user._id)) {
             return res.status(403).json({ error: 'Not authorized' });
         }
@@ -223,15 +243,14 @@ const addUserToGroup = async (req, res) => {
         group.users.push(userId);
         await group.save();
 
-        // Update user's groupId and set join timestamp
-        await User.findByIdAndUpdate(userId, { 
-            groupId, 
-            groupJoinedAt: new Date() 
-        });
+        // Record the membership with its join timestamp
+        await addMembership(userId, groupId, { joinedAt: new Date() });
 
         // Emit real-time event to all group members
         const io = req.app.get('io');
         if (io) {
+            io.in(`user:${userId}`).socketsJoin(`group:${groupId}`);
+
             const updatedGroup = await Group.findById(groupId)
                 .populate('users', 'username email role isOnline lastSeen')
                 .populate('managers', 'username email role isOnline lastSeen');
@@ -265,6 +284,10 @@ const addManager = async (req, res) => {
             return res.status(404).json({ error: 'Group not found' });
         }
 
+        if (group.type === 'direct') {
+            return res.status(400).json({ error: 'Direct conversations cannot have members added' });
+        }
+
         if (req.user.role !== 'admin' && !group.createdBy.equals(req.user._id)) {
             return res.status(403).json({ error: 'Not authorized' });
         }
@@ -286,11 +309,11 @@ const addManager = async (req, res) => {
             
             await group.save();
 
-            // Update user role and groupId
-            await User.findByIdAndUpdate(userId, { 
-                role: 'manager',
-                groupId: groupId
-            });
+            // Record the manager membership; admins keep their global role
+            await addMembership(userId, groupId, { role: 'manager' });
+            if (user.role !== 'admin') {
+                await User.findByIdAndUpdate(userId, { role: 'manager' });
+            }
 
             // Emit real-time event to all group members
             const io = req.app.get('io');
@@ -347,15 +370,17 @@ const removeUserFromGroup = async (req, res) => {
         group.managers.pull(userId);
         await group.save();
 
-        // Clear user's groupId and reset role to user
-        await User.findByIdAndUpdate(userId, { 
-            groupId: null,
-            role: 'user'
-        });
+        // Drop the membership; managers fall back to user once they manage no group at all
+        await removeMembership(userId, groupId);
+        if (user.role === 'manager' && !(await managesAnyGroup(userId))) {
+            await User.findByIdAndUpdate(userId, { role: 'user' });
+        }
 
         // Emit real-time event to all group members
         const io = req.app.get('io');
         if (io) {
+            io.in(`user:${userId}`).socketsLeave(`group:${groupId}`);
+
             const updatedGroup = await Group.findById(groupId)
                 .populate('users', 'username email role isOnline lastSeen')
                 .populate('managers', 'username email role isOnline lastSeen');
@@ -399,8 +424,12 @@ const removeManager = async (req, res) => {
         group.managers.pull(userId);
         await group.save();
 
-        // Update user role back to user
-        await User.findByIdAndUpdate(userId, { role: 'user' });
+        // Keep the membership as a regular member; the global role drops to user
+        // only when they no longer manage any group
+        await setMembershipRole(userId, groupId, 'member');
+        if (user?.role === 'manager' && !(await managesAnyGroup(userId))) {
+            await User.findByIdAndUpdate(userId, { role: 'user' });
+        }
 
         // Emit real-time event to all group members
         const io = req.app.get('io');
@@ -441,12 +470,13 @@ const getAllGroups = async (req, res) => {
 
         const searchQuery = search
             ? {
+                type: { $ne: 'direct' },
                 $or: [
                     { name: { $regex: search, $options: 'i' } },
                     { region: { $regex: search, $options: 'i' } },
                 ],
             }
-            : {};
+            : { type: { $ne: 'direct' } };
 
         const groups = await Group.find(searchQuery)
             .populate('createdBy', 'username email')
@@ -509,6 +539,240 @@ const getGroupMembers = async (req, res) => {
     }
 };
 
+const getPinnedMessages = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
+
+        const group = await Group.findById(groupId, { users: 1, managers: 1, pinnedMessages: 1 }).lean();
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isMember = group.users.some(user => user.toString() === userId.toString()) ||
+            group.managers.some(manager => manager.toString() === userId.toString());
+        if (!isMember && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. You are not a member of this group.' });
+        }
+
+        const pins = group.pinnedMessages || [];
+        const messages = await Message.find({
+            _id: { $in: pins.map(pin => pin.messageId) },
+            'deleted.isDeleted': { $ne: true }
+        })
+            .populate('senderId', 'username _id')
+            .lean();
+
+        const messagesById = new Map(messages.map(message => [message._id.toString(), message]));
+        const pinnedBy = await User.find({ _id: { $in: pins.map(pin => pin.pinnedBy) } }, { username: 1 }).lean();
+        const pinnedByById = new Map(pinnedBy.map(user => [user._id.toString(), user]));
+
+        // Most recent pins first; pins whose message is gone are skipped
+        const pinned = pins
+            .filter(pin => messagesById.has(pin.messageId.toString()))
+            .sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt))
+            .map(pin => ({
+                message: messagesById.get(pin.messageId.toString()),
+                pinnedBy: pinnedByById.get(pin.pinnedBy?.toString()) || null,
+                pinnedAt: pin.pinnedAt
+            }));
+
+        res.json({
+            pins: pinned,
+            limit: parseInt(process.env.MAX_PINNED_MESSAGES) || 10
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const pinMessage = async (req, res) => {
+    try {
+        const { groupId, messageId } = req.params;
+        const userId = req.user._id;
+        const maxPins = parseInt(process.env.MAX_PINNED_MESSAGES) || 10;
+
+        if (!mongoose.isValidObjectId(groupId) || !mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ error: 'Invalid group or message ID' });
+        }
+
+        const group = await Group.findById(groupId, { managers: 1, pinnedMessages: 1 });
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        if (req.user.role !== 'admin' && !group.managers.some(manager => manager.equals(userId))) {
+            return res.status(403).json({ error: 'Only group managers and admins can pin messages' });
+        }
+
+        const message = await Message.findOne({ _id: messageId, groupId, 'deleted.isDeleted': { $ne: true } })
+            .populate('senderId', 'username _id')
+            .lean();
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found in this group' });
+        }
+
+        const pin = { messageId: message._id, pinnedBy: userId, pinnedAt: new Date() };
+
+        // Atomic push that refuses duplicates and enforces the pin cap
+        const result = await Group.updateOne(
+            {
+                _id: groupId,
+                'pinnedMessages.messageId': { $ne: message._id },
+                [`pinnedMessages.${maxPins - 1}`]: { $exists: false }
+            },
+            { $push: { pinnedMessages: pin } }
+        );
+
+        if (result.modifiedCount === 0) {
+            const alreadyPinned = group.pinnedMessages.some(existing => existing.messageId.equals(message._id));
+            return res.status(400).json({
+                error: alreadyPinned
+                    ? 'Message is already pinned'
+                    : `Pin limit reached. A group can have at most ${maxPins} pinned messages.`
+            });
+        }
+
+        await emitGroupEvent(req.app.get('io'), groupId, 'message:pinned', {
+            groupId,
+            messageId: message._id,
+            message,
+            pinnedBy: { _id: req.user._id, username: req.user.username },
+            pinnedAt: pin.pinnedAt
+        });
+
+        res.json({ message: 'Message pinned successfully', pin });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const unpinMessage = async (req, res) => {
+    try {
+        const { groupId, messageId } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.isValidObjectId(groupId) || !mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ error: 'Invalid group or message ID' });
+        }
+
+        const group = await Group.findById(groupId, { managers: 1 });
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        if (req.user.role !== 'admin' && !group.managers.some(manager => manager.equals(userId))) {
+            return res.status(403).json({ error: 'Only group managers and admins can unpin messages' });
+        }
+
+        const result = await Group.updateOne(
+            { _id: groupId },
+            { $pull: { pinnedMessages: { messageId } } }
+        );
+
+        if (result.modifiedCount === 0) {
+            return res.status(404).json({ error: 'Message is not pinned in this group' });
+        }
+
+        await emitGroupEvent(req.app.get('io'), groupId, 'message:unpinned', {
+            groupId,
+            messageId,
+            unpinnedBy: { _id: req.user._id, username: req.user.username },
+            reason: 'unpinned'
+        });
+
+        res.json({ message: 'Message unpinned successfully' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const getRetentionPolicy = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
+
+        const group = await Group.findById(groupId, { users: 1, managers: 1, retention: 1 }).lean();
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isMember = group.users.some(user => user.toString() === userId.toString()) ||
+            group.managers.some(manager => manager.toString() === userId.toString());
+        if (!isMember && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Access denied. You are not a member of this group.' });
+        }
+
+        res.json({ retention: group.retention || { mode: 'forever' } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Replay group events after a sequence number, for clients that were disconnected
+ */
+const getGroupEvents = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { since = 0, limit } = req.query;
+        const userId = req.user._id;
+
+        const group = await Group.findById(groupId, { users: 1, managers: 1 }).lean();
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isMember = group.users.some(user => user.toString() === userId.toString()) ||
+            group.managers.some(manager => manager.toString() === userId.toString());
+        if (!isMember) {
+            return res.status(403).json({ error: 'Access denied. You are not a member of this group.' });
+        }
+
+        const membership = await getMembership(userId, groupId);
+        res.json({ groupId, ...(await getEventsSince(groupId, since, limit, { joinedAt: membership?.joinedAt })) });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const updateRetentionPolicy = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user._id;
+
+        const group = await Group.findById(groupId, { managers: 1 });
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        if (req.user.role !== 'admin' && !group.managers.some(manager => manager.equals(userId))) {
+            return res.status(403).json({ error: 'Only group managers and admins can change the retention policy' });
+        }
+
+        const { policy, error } = validateRetentionPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const retention = { ...policy, updatedBy: userId, updatedAt: new Date() };
+        await Group.updateOne({ _id: groupId }, { $set: { retention } });
+
+        const io = req.app.get('io');
+        if (io) {
+            io.to(`group:${groupId}`).emit('group:retention:updated', {
+                groupId,
+                retention,
+                updatedBy: { _id: req.user._id, username: req.user.username }
+            });
+        }
+
+        res.json({ message: 'Retention policy updated successfully', retention });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
 module.exports = {
     createGroup,
     getGroups,
@@ -521,4 +785,10 @@ module.exports = {
     removeUserFromGroup,
     addManager,
     removeManager,
+    getPinnedMessages,
+    pinMessage,
+    unpinMessage,
+    getRetentionPolicy,
+    getGroupEvents,
+    updateRetentionPolicy,
 };
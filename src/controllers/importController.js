@@ -0,0 +1,44 @@
+const { parseNdjson, readImportDocument, importMessages } = require('../services/importService');
+
+/**
+ * Import chat history (admin only).
+ * Accepts a JSON document ({ source, groupId, messages }) or an NDJSON body with source and groupId
+ * in the query string. Attachments must already be uploaded to uploads/chat-files; use the
+ * import-history script to bring files along from an export directory.
+ */
+const importHistory = async (req, res) => {
+    try {
+        const { source, groupId } = req.query;
+        const dryRun = req.query.dryRun === 'true';
+
+        let input;
+        if (typeof req.body === 'string') {
+            input = { records: parseNdjson(req.body.split(/\r?\n/)), source, groupId };
+        } else {
+            input = readImportDocument(req.body, { source, groupId });
+            if (input.error) {
+                return res.status(input.status).json({ error: input.error });
+            }
+        }
+
+        const report = await importMessages(input.records, {
+            source: input.source,
+            groupId: input.groupId,
+            dryRun
+        });
+        if (report.error) {
+            return res.status(report.status).json({ error: report.error });
+        }
+
+        res.json({
+            message: dryRun ? 'Import checked, nothing was written' : 'Import finished',
+            report
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    importHistory,
+};
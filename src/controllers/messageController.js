@@ -1,73 +1,64 @@
 const Message = require('../models/Message');
 const Group = require('../models/Group');
-const User = require('../models/User');
-const extractTags = require('../utils/parser');
+const { extractTags } = require('../utils/parser');
+const { parseFormatting } = require('../utils/formatter');
+const { resolveThreadParent, removeThreadReply } = require('../services/threadService');
+const {
+    MAX_MESSAGE_LENGTH,
+    validateClientMessageId,
+    findClientMessage,
+    buildQuote,
+    createMessageOnce,
+    publishMessage
+} = require('../services/messageService');
+const { summarizeReactions, updateReaction } = require('../services/reactionService');
+const { unpinMessages } = require('../services/pinService');
+const { computeExpiresAt } = require('../services/retentionService');
+const { validatePoll, summarizePoll, castVote, closePoll: closePollService } = require('../services/pollService');
+const { checkDirectSend } = require('../services/directMessageService');
+const { getMembership } = require('../services/membershipService');
+const { emitGroupEvent, redactMessageEvents } = require('../services/groupEventService');
+const { searchMessages: searchMessagesService } = require('../services/searchService');
+const { clearSentDraft } = require('../services/draftService');
+const { resolveUploadedFile } = require('../services/fileStorageService');
+const { resolveMentions, getMentionRecipients, notifyMentions } = require('../services/mentionService');
+const {
+    partitionForwardTargets,
+    publishForwardedCopy,
+    requestForwardApprovals
+} = require('../services/forwardingService');
+const {
+    advanceCursorsForMessages,
+    getUnreadCounts: getUnreadCountsForUser,
+    getGroupCursors,
+    deriveReceipts,
+    getReadReceipts
+} = require('../services/readCursorService');
 const mongoose = require('mongoose');
 
-// Memory-optimized message cleanup with chunking
-const cleanupDeletedMessages = async () => {
-    try {
-        const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-        
-        // Process in chunks to avoid memory issues
-        let totalDeleted = 0;
-        let hasMore = true;
-        const chunkSize = 1000;
-        
-        while (hasMore) {
-        const result = await Message.deleteMany({
-            'deleted.isDeleted': true,
-            'deleted.deletedAt': { $lt: twentyFourHoursAgo }
-            }).limit(chunkSize);
-            
-            totalDeleted += result.deletedCount;
-            hasMore = result.deletedCount === chunkSize;
-            
-            // Small delay to prevent overwhelming the database
-            if (hasMore) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-            }
-        }
-        
-        if (totalDeleted > 0) {
-            console.log(`Cleaned up ${totalDeleted} permanently deleted messages`);
-        }
-    } catch (error) {
-        console.error('Error cleaning up deleted messages:', error);
-    }
-};
-
-// Optimized cleanup for old messages (older than 90 days)
-const cleanupOldMessages = async () => {
-    try {
-        const ninetyDaysAgo = new Date(Date.now() - 90 * 24 * 60 * 60 * 1000);
-        
-        // Only clean up messages from inactive groups or very old messages
-        const result = await Message.deleteMany({
-            createdAt: { $lt: ninetyDaysAgo },
-            'deleted.isDeleted': true
-        }).limit(5000); // Limit to prevent long-running operations
-        
-        if (result.deletedCount > 0) {
-            console.log(`Cleaned up ${result.deletedCount} old deleted messages`);
-        }
-    } catch (error) {
-        console.error('Error cleaning up old messages:', error);
-    }
-};
-
-// Run cleanup every hour for deleted messages, every 6 hours for old messages
-setInterval(cleanupDeletedMessages, 60 * 60 * 1000);
-setInterval(cleanupOldMessages, 6 * 60 * 60 * 1000);
-
 /**
  * Send a new message
  */
 const sendMessage = async (req, res) => {
     try {
-        const { text, groupId, file } = req.body;
+        const { text, groupId, file, parentId, quoteId, expiresIn } = req.body;
         const userId = req.user._id;
 
+        const { clientMessageId, error: clientIdError } = validateClientMessageId(req.body.clientMessageId);
+        if (clientIdError) {
+            return res.status(400).json({ error: clientIdError });
+        }
+
+        // A retry of a send that already went through gets the original response
+        const existing = await findClientMessage(userId, clientMessageId);
+        if (existing) {
+            return res.status(200).json({
+                message: 'Message sent successfully',
+                data: existing.populatedMessage,
+                ...(existing.thread && { thread: existing.thread })
+            });
+        }
+
         // Validate required fields
         if (!text && !file) {
             return res.status(400).json({ error: 'Message text or file is required' });
@@ -90,30 +81,80 @@ const sendMessage = async (req, res) => {
             return res.status(403).json({ error: 'You are not a member of this group' });
         }
 
-        // Create the message
-        const message = await Message.create({
+        // Direct conversations follow the admin-configured DM rules
+        const directError = await checkDirectSend(group, req.user);
+        if (directError) {
+            return res.status(403).json({ error: directError });
+        }
+
+        // Replies attach to the root of the thread they belong to
+        let threadParentId = null;
+        if (parentId) {
+            const thread = await resolveThreadParent(parentId, groupId);
+            if (thread.error) {
+                return res.status(thread.status).json({ error: thread.error });
+            }
+            threadParentId = thread.parentId;
+        }
+
+        // A quote keeps a copy of the quoted message as it is right now
+        let quote;
+        if (quoteId) {
+            const quoted = await buildQuote(quoteId, { groupId, userId });
+            if (quoted.error) {
+                return res.status(quoted.status).json({ error: quoted.error });
+            }
+            quote = quoted.quote;
+        }
+
+        // Disappearing messages get an expiry from the request or the group's policy
+        const expiry = computeExpiresAt(group, expiresIn);
+        if (expiry.error) {
+            return res.status(400).json({ error: expiry.error });
+        }
+
+        const attachment = await resolveUploadedFile(file);
+        if (attachment.error) {
+            return res.status(400).json({ error: attachment.error });
+        }
+
+        const { mentions, mentionsGroup } = await resolveMentions(text, group);
+
+        // Create the message; a concurrent retry with the same client id returns the first one
+        const { message, duplicate } = await createMessageOnce({
             senderId: userId,
             groupId: groupId,
             text: text || '',
-            file: file || null,
-            tags: extractTags(text || '')
+            formatted: parseFormatting(text),
+            quote,
+            file: attachment.file,
+            tags: extractTags(text || ''),
+            mentions,
+            mentionsGroup,
+            parentId: threadParentId,
+            expiresAt: expiry.expiresAt,
+            clientMessageId
         });
 
-        // Populate the message with sender and group information
-        const populatedMessage = await Message.findById(message._id)
-            .populate('senderId', 'username email')
-            .populate('groupId', 'name region')
-            .lean();
-
-        // Emit to the group via socket
-        const io = req.app.get('io');
-        if (io) {
-            io.to(`group:${groupId}`).emit('message:new', populatedMessage);
+        // Populate and emit to the group via socket; replies go to the thread instead of the main timeline
+        const { populatedMessage, thread } = duplicate
+            ? await findClientMessage(userId, clientMessageId)
+            : await publishMessage(req.app.get('io'), message);
+
+        if (!duplicate) {
+            await notifyMentions({ io: req.app.get('io'), message, group, sender: req.user });
+            clearSentDraft(req.app.get('io'), {
+                userId,
+                groupId,
+                parentId: threadParentId,
+                sentAt: message.createdAt
+            }).catch(error => console.error('Error clearing sent draft:', error));
         }
 
-        res.status(201).json({
+        res.status(duplicate ? 200 : 201).json({
             message: 'Message sent successfully',
-            data: populatedMessage
+            data: populatedMessage,
+            ...(thread && { thread })
         });
     } catch (error) {
         console.error('Send message error:', error);
@@ -121,6 +162,106 @@ const sendMessage = async (req, res) => {
     }
 };
 
+/**
+ * Create a poll message in a group
+ */
+const createPoll = async (req, res) => {
+    try {
+        const { groupId, expiresIn } = req.body;
+        const userId = req.user._id;
+
+        if (!groupId) {
+            return res.status(400).json({ error: 'Group ID is required' });
+        }
+
+        const { poll, error } = validatePoll(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Same membership rule as sendMessage
+        const group = await Group.findById(groupId);
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isMember = group.users.some(user => user.toString() === userId.toString()) ||
+                        group.managers.some(manager => manager.toString() === userId.toString());
+
+        if (!isMember) {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        const expiry = computeExpiresAt(group, expiresIn);
+        if (expiry.error) {
+            return res.status(400).json({ error: expiry.error });
+        }
+
+        const message = await Message.create({
+            senderId: userId,
+            groupId,
+            type: 'poll',
+            text: poll.question,
+            poll,
+            tags: [],
+            expiresAt: expiry.expiresAt
+        });
+
+        const { populatedMessage } = await publishMessage(req.app.get('io'), message);
+
+        res.status(201).json({
+            message: 'Poll created successfully',
+            data: { ...populatedMessage, poll: summarizePoll(populatedMessage.poll, userId) }
+        });
+    } catch (error) {
+        console.error('Create poll error:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Vote on a poll (replaces the user's previous choices)
+ */
+const votePoll = async (req, res) => {
+    try {
+        const result = await castVote({
+            messageId: req.params.messageId,
+            userId: req.user._id,
+            optionIds: req.body.optionIds
+        });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const { myVotes, ...update } = result;
+        await emitGroupEvent(req.app.get('io'), result.groupId, 'poll:updated', update);
+
+        res.json({ message: 'Vote recorded', ...update, poll: { ...update.poll, myVotes } });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Close a poll before its close time
+ */
+const closePoll = async (req, res) => {
+    try {
+        const result = await closePollService({ messageId: req.params.messageId, user: req.user });
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await emitGroupEvent(req.app.get('io'), result.groupId, 'poll:updated', result);
+
+        res.json({ message: 'Poll closed', ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
 /**
  * Get messages from a group with optimized chunking and memory management
  */
@@ -155,14 +296,17 @@ const getMessages = async (req, res) => {
             return res.status(403).json({ error: 'Not authorized to view messages' });
         }
 
-        // Get user's join date with minimal projection
-        const user = await User.findById(userId, { groupJoinedAt: 1 }).lean();
-        const userJoinedAt = user?.groupJoinedAt;
+        // Get the user's join date for this group
+        const membership = await getMembership(userId, groupId);
+        const userJoinedAt = membership?.joinedAt;
 
         // Build optimized query with proper indexing
         const baseQuery = { 
             groupId: groupId, // Mongoose will automatically cast string to ObjectId
-            'deleted.isDeleted': { $ne: true }
+            'deleted.isDeleted': { $ne: true },
+            parentId: null, // Thread replies are loaded through getThread
+            // Expired disappearing messages stay hidden until the retention job purges them
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
         };
         
         // Time-based filtering for performance - only apply if user has a specific join date
@@ -255,19 +399,21 @@ const getMessages = async (req, res) => {
             {
                 $project: {
                     _id: 1,
+                    type: 1,
                     text: 1,
+                    formatted: 1,
+                    quote: 1,
                     file: 1,
+                    poll: 1,
                     senderId: 1,
                     groupId: 1,
                     createdAt: 1,
                     updatedAt: 1,
                     deleted: 1,
-                    // Only include these fields if metadata is requested
-                    ...(includeMetadata === 'true' && {
-                        seenBy: 1,
-                        deliveredTo: 1,
-                        status: 1
-                    })
+                    replyCount: 1,
+                    lastReplyAt: 1,
+                    reactions: 1,
+                    expiresAt: 1,
                 }
             },
             
@@ -293,7 +439,9 @@ const getMessages = async (req, res) => {
             console.log('🔄 Using fallback query - aggregation returned no results');
             const fallbackQuery = { 
                 groupId: groupId,
-                'deleted.isDeleted': { $ne: true }
+                'deleted.isDeleted': { $ne: true },
+                parentId: null,
+                $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
             };
             
             messages = await Message.find(fallbackQuery)
@@ -315,6 +463,17 @@ const getMessages = async (req, res) => {
             });
         }
 
+        // Receipts are derived from the members' read cursors, loaded once for the whole page
+        const cursors = includeMetadata === 'true' ? await getGroupCursors(groupId) : null;
+
+        // Replace raw reactions and poll voter lists with counts for the current user
+        messages = messages.map(message => ({
+            ...message,
+            reactions: summarizeReactions(message.reactions, userId),
+            ...(message.poll && { poll: summarizePoll(message.poll, userId) }),
+            ...(cursors && deriveReceipts(message, cursors))
+        }));
+
         // Get approximate count using estimatedDocumentCount for better performance
         const estimatedCount = await Message.estimatedDocumentCount({ groupId: groupId });
         
@@ -364,6 +523,110 @@ const getMessages = async (req, res) => {
     }
 };
 
+/**
+ * Get a thread (root message plus replies) with cursor-based pagination
+ */
+const getThread = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const { chunkSize = 50, before, after } = req.query;
+        const userId = req.user._id;
+        const chunkLimit = Math.min(parseInt(chunkSize) || 50, 100);
+
+        if (!mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
+        const cursors = {
+            ...(before && { before: new Date(before) }),
+            ...(after && { after: new Date(after) })
+        };
+        if (Object.values(cursors).some(date => isNaN(date.getTime()))) {
+            return res.status(400).json({ error: 'Invalid cursor date' });
+        }
+
+        let root = await Message.findById(messageId)
+            .populate('senderId', 'username _id')
+            .lean();
+
+        // Asking for the thread of a reply returns the whole thread
+        if (root?.parentId) {
+            root = await Message.findById(root.parentId)
+                .populate('senderId', 'username _id')
+                .lean();
+        }
+
+        if (!root || root.deleted?.isDeleted) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const group = await Group.findById(root.groupId, { users: 1, managers: 1 }).lean();
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isMember = group.users.some(user => user.toString() === userId.toString()) ||
+                        group.managers.some(manager => manager.toString() === userId.toString());
+
+        if (!isMember) {
+            return res.status(403).json({ error: 'Not authorized to view this thread' });
+        }
+
+        const query = {
+            parentId: root._id,
+            'deleted.isDeleted': { $ne: true },
+            $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+        };
+
+        // Same join-date cut-off as getMessages
+        const membership = await getMembership(userId, root.groupId);
+        if (membership?.joinedAt) {
+            query.createdAt = { $gte: membership.joinedAt };
+        }
+
+        if (cursors.before) {
+            query.createdAt = { ...query.createdAt, $lt: cursors.before };
+        }
+
+        if (cursors.after) {
+            query.createdAt = { ...query.createdAt, $gt: cursors.after };
+        }
+
+        // Loading newer replies walks forward from the cursor, otherwise take the latest page
+        const replies = await Message.find(query)
+            .populate('senderId', 'username _id')
+            .sort({ createdAt: after ? 1 : -1 })
+            .limit(chunkLimit)
+            .lean();
+
+        if (!after) {
+            replies.reverse();
+        }
+
+        res.json({
+            parent: {
+                ...root,
+                reactions: summarizeReactions(root.reactions, userId),
+                ...(root.poll && { poll: summarizePoll(root.poll, userId) })
+            },
+            replies: replies.map(reply => ({
+                ...reply,
+                reactions: summarizeReactions(reply.reactions, userId)
+            })),
+            chunk: {
+                size: chunkLimit,
+                hasMore: replies.length === chunkLimit,
+                nextCursor: replies.length > 0 ? replies[replies.length - 1].createdAt : null,
+                prevCursor: replies.length > 0 ? replies[0].createdAt : null,
+                total: root.replyCount || 0
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching thread:', error);
+        res.status(500).json({ error: error.message });
+    }
+};
+
 /**
  * Edit a message (only by sender within 15 minutes)
  */
@@ -373,33 +636,76 @@ const editMessage = async (req, res) => {
         const { text } = req.body;
         const userId = req.user._id;
 
-        const message = await Message.findById(messageId);
+        const message = await Message.findById(messageId).select('+editHistory');
         if (!message) return res.status(404).json({ error: 'Message not found' });
 
         if (!message.senderId.equals(userId)) {
             return res.status(403).json({ error: 'Not authorized to edit this message' });
         }
 
+        if (message.type === 'poll') {
+            return res.status(400).json({ error: 'Polls cannot be edited' });
+        }
+
         const editTimeLimit = 15 * 60 * 1000;
         if (Date.now() - message.createdAt.getTime() > editTimeLimit) {
             return res.status(400).json({ error: 'Message too old to edit' });
         }
 
+        const editedAt = new Date();
+
+        // Keep the text being replaced as a revision
+        message.editHistory.push({
+            text: message.text,
+            createdAt: message.edited?.editedAt || message.createdAt,
+            replacedAt: editedAt,
+            editedBy: userId
+        });
+
+        // Mentions follow the new text; only people newly mentioned get a notification
+        const group = await Group.findById(message.groupId, { name: 1, type: 1, users: 1, managers: 1 }).lean();
+        const previousRecipients = await getMentionRecipients(message, group);
+        const { mentions, mentionsGroup } = await resolveMentions(text, group);
+
         message.text = text;
+        message.formatted = parseFormatting(text);
         message.tags = extractTags(text);
-        message.edited = { isEdited: true, editedAt: new Date() };
+        message.mentions = mentions;
+        message.mentionsGroup = mentionsGroup;
+        message.edited = { isEdited: true, editedAt };
 
         await message.save();
 
-        // If this is an original message, also update all forwarded copies
+        const newRecipients = await getMentionRecipients(message, group);
+        const added = new Set([...newRecipients.keys()].filter(id => !previousRecipients.has(id)));
+        if (added.size > 0) {
+            await notifyMentions({ io: req.app.get('io'), message, group, sender: req.user, onlyUserIds: added });
+        }
+
+        // If this is an original message, also update all forwarded copies,
+        // recording each copy's own previous text in its history
         if (!message.forwardedFrom) {
             await Message.updateMany(
                 { forwardedFrom: messageId },
-                { 
-                    text: text,
-                    tags: extractTags(text),
-                    edited: { isEdited: true, editedAt: new Date() }
-                }
+                [{
+                    $set: {
+                        editHistory: {
+                            $concatArrays: [
+                                { $ifNull: ['$editHistory', []] },
+                                [{
+                                    text: '$text',
+                                    createdAt: { $ifNull: ['$edited.editedAt', '$createdAt'] },
+                                    replacedAt: editedAt,
+                                    editedBy: userId
+                                }]
+                            ]
+                        },
+                        text: { $literal: text },
+                        formatted: { $literal: parseFormatting(text) ?? null },
+                        tags: { $literal: extractTags(text) },
+                        edited: { isEdited: true, editedAt }
+                    }
+                }]
             );
         }
 
@@ -409,7 +715,7 @@ const editMessage = async (req, res) => {
             .populate('groupId', 'name region')
             .lean();
 
-        req.app.get('io')?.to(`group:${message.groupId}`).emit('message:edited', populatedMessage);
+        await emitGroupEvent(req.app.get('io'), message.groupId, 'message:edited', populatedMessage);
 
         res.json({ message: 'Message updated successfully', message });
     } catch (error) {
@@ -418,25 +724,76 @@ const editMessage = async (req, res) => {
 };
 
 /**
- * Soft delete a message (owner, manager, or admin)
+ * List a message's previous revisions (sender, managers of the group, or admin)
+ */
+const getMessageRevisions = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+        const userId = req.user._id;
+
+        const message = await Message.findById(messageId)
+            .select('+editHistory')
+            .populate('editHistory.editedBy', 'username _id')
+            .lean();
+        if (!message) return res.status(404).json({ error: 'Message not found' });
+
+        let canView = message.senderId.equals(userId) || req.user.role === 'admin';
+        if (!canView && req.user.role === 'manager') {
+            const group = await Group.findById(message.groupId, { users: 1, managers: 1 }).lean();
+            canView = !!group && (
+                group.users.some(user => user.toString() === userId.toString()) ||
+                group.managers.some(manager => manager.toString() === userId.toString())
+            );
+        }
+
+        if (!canView) {
+            return res.status(403).json({ error: 'Not authorized to view revisions of this message' });
+        }
+
+        res.json({
+            messageId: message._id,
+            current: {
+                text: message.text,
+                createdAt: message.edited?.editedAt || message.createdAt
+            },
+            revisions: message.editHistory || [],
+            forwardedFrom: message.forwardedFrom || null
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Soft delete a message (owner, manager, or admin). In direct conversations managers
+ * only moderate the ones they are part of.
  */
 const deleteMessage = async (req, res) => {
     try {
         const { messageId } = req.params;
         const userId = req.user._id;
 
+        if (!mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
         const message = await Message.findById(messageId);
         if (!message) return res.status(404).json({ error: 'Message not found' });
 
-        const canDelete =
-            message.senderId.equals(userId) ||
-            req.user.role === 'admin' ||
-            req.user.role === 'manager';
+        let canModerate = req.user.role === 'admin';
+        if (!canModerate && req.user.role === 'manager') {
+            const group = await Group.findById(message.groupId, { type: 1, users: 1 }).lean();
+            canModerate = group?.type !== 'direct' || group.users.some(id => id.equals(userId));
+        }
+
+        const canDelete = message.senderId.equals(userId) || canModerate;
 
         if (!canDelete) {
             return res.status(403).json({ error: 'Not authorized to delete this message' });
         }
 
+        const wasDeleted = !!message.deleted?.isDeleted;
+
         message.deleted = {
             isDeleted: true,
             deletedBy: userId,
@@ -446,7 +803,11 @@ const deleteMessage = async (req, res) => {
         await message.save();
 
         // If this is an original message, also delete all forwarded copies
+        const deletedIds = [message._id];
         if (!message.forwardedFrom) {
+            const forwardedCopies = await Message.find({ forwardedFrom: messageId }, { _id: 1 }).lean();
+            deletedIds.push(...forwardedCopies.map(copy => copy._id));
+
             await Message.updateMany(
                 { forwardedFrom: messageId },
                 { 
@@ -459,6 +820,15 @@ const deleteMessage = async (req, res) => {
             );
         }
 
+        // Replays must not bring the deleted content back
+        await redactMessageEvents(deletedIds);
+
+        // Deleted messages drop off every pin list they were on
+        await unpinMessages(deletedIds, req.app.get('io'));
+
+        // Keep the thread root's reply counter in sync
+        const thread = message.parentId && !wasDeleted ? await removeThreadReply(message.parentId) : null;
+
         // Populate the deletedBy field with user information for the socket event
         const populatedMessage = await Message.findById(messageId)
             .populate('deleted.deletedBy', 'username')
@@ -470,9 +840,11 @@ const deleteMessage = async (req, res) => {
             deletedBy: populatedMessage.deleted.deletedBy
         });
         
-        req.app.get('io')?.to(`group:${message.groupId}`).emit('message:deleted', {
+        await emitGroupEvent(req.app.get('io'), message.groupId, 'message:deleted', {
             messageId,
-            deletedBy: populatedMessage.deleted.deletedBy
+            groupId: message.groupId,
+            deletedBy: populatedMessage.deleted.deletedBy,
+            ...(thread && { thread })
         });
 
         res.json({ message: 'Message deleted successfully' });
@@ -482,38 +854,69 @@ const deleteMessage = async (req, res) => {
 };
 
 /**
- * Search messages (text, group, date range)
+ * Add an emoji reaction to a message
  */
-const searchMessages = async (req, res) => {
+const addReaction = async (req, res) => {
     try {
-        const { q, groupId, startDate, endDate, page = 1, limit = 20 } = req.query;
-        const skip = (page - 1) * limit;
+        const result = await updateReaction({
+            messageId: req.params.messageId,
+            userId: req.user._id,
+            emoji: req.body.emoji,
+            action: 'add'
+        });
 
-        let searchQuery = { 'deleted.isDeleted': { $ne: true } };
-        if (groupId) searchQuery.groupId = groupId;
-        if (q) searchQuery.text = { $regex: q, $options: 'i' };
-        if (startDate || endDate) {
-            searchQuery.createdAt = {};
-            if (startDate) searchQuery.createdAt.$gte = new Date(startDate);
-            if (endDate) searchQuery.createdAt.$lte = new Date(endDate);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
         }
 
-        const messages = await Message.find(searchQuery)
-            .populate('senderId', 'username email')
-            .populate('groupId', 'name region')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(parseInt(limit));
+        await emitGroupEvent(req.app.get('io'), result.groupId, 'message:reaction', result);
+
+        res.json({ message: 'Reaction added', ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Remove the current user's emoji reaction from a message
+ */
+const removeReaction = async (req, res) => {
+    try {
+        const result = await updateReaction({
+            messageId: req.params.messageId,
+            userId: req.user._id,
+            emoji: req.params.emoji,
+            action: 'remove'
+        });
 
-        const total = await Message.countDocuments(searchQuery);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        await emitGroupEvent(req.app.get('io'), result.groupId, 'message:reaction', result);
+
+        res.json({ message: 'Reaction removed', ...result });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Search messages in the caller's groups: relevance-ranked text search with filters and cursor paging
+ */
+const searchMessages = async (req, res) => {
+    try {
+        const result = await searchMessagesService(req.user, req.query);
+
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
 
         res.json({
-            messages,
+            messages: result.results,
             pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total,
-                pages: Math.ceil(total / limit)
+                nextCursor: result.nextCursor,
+                hasMore: !!result.nextCursor
             }
         });
     } catch (error) {
@@ -530,33 +933,48 @@ const forwardMessage = async (req, res) => {
         const { groupIds } = req.body;
 
         const originalMessage = await Message.findById(messageId);
-        if (!originalMessage) return res.status(404).json({ error: 'Message not found' });
-
-        const targetGroups = await Group.find({ _id: { $in: groupIds } });
-
-        const forwardedMessages = await Promise.all(
-            targetGroups.map(group =>
-                Message.create({
-                    senderId: req.user._id,
-                    groupId: group._id,
-                    text: `[Forwarded] ${originalMessage.text}`,
-                    file: originalMessage.file,
-                    tags: originalMessage.tags,
-                    forwardedFrom: originalMessage._id
-                })
-            )
+        if (!originalMessage || originalMessage.deleted?.isDeleted) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        // Only messages the caller can see may be forwarded
+        const sourceGroup = await Group.findById(originalMessage.groupId, { users: 1, managers: 1 }).lean();
+        const canSee = sourceGroup && (
+            sourceGroup.users.some(user => user.toString() === req.user._id.toString()) ||
+            sourceGroup.managers.some(manager => manager.toString() === req.user._id.toString())
         );
+        if (!canSee && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to forward this message' });
+        }
 
+        // Direct conversations are never forward targets
+        const targetGroups = await Group.find({
+            _id: { $in: groupIds, $ne: originalMessage.groupId },
+            type: { $ne: 'direct' }
+        }).lean();
+
+        // The forwarding policy decides which targets get the message now and which need approval
+        const { allowed, needsApproval, denied } = await partitionForwardTargets(req.user, targetGroups);
         const io = req.app.get('io');
-        if (io) {
-            forwardedMessages.forEach(msg => {
-                io.to(`group:${msg.groupId}`).emit('message:new', msg);
-            });
+        // The prefix must not push a full-length message past Message.text's limit
+        const text = `[Forwarded] ${originalMessage.text}`.slice(0, MAX_MESSAGE_LENGTH);
+
+        for (const group of allowed) {
+            await publishForwardedCopy(io, { original: originalMessage, targetGroup: group, senderId: req.user._id, text });
         }
 
+        const pending = await requestForwardApprovals(io, {
+            sender: req.user,
+            original: originalMessage,
+            groups: needsApproval,
+            text
+        });
+
         res.json({
             message: 'Message forwarded successfully',
-            forwardedTo: targetGroups.length
+            forwardedTo: allowed.length,
+            pendingApproval: pending.map(request => ({ requestId: request._id, groupId: request.targetGroupId })),
+            denied: denied.map(group => group._id)
         });
     } catch (error) {
         res.status(500).json({ error: error.message });
@@ -564,38 +982,85 @@ const forwardMessage = async (req, res) => {
 };
 
 /**
- * Mark messages as delivered for a user
+ * Mark messages as delivered for a user by moving their delivery cursor
  */
 const markAsDelivered = async (req, res) => {
     try {
         const { messageIds } = req.body;
-        const userId = req.user._id;
 
-        await Message.updateMany(
-            { _id: { $in: messageIds }, deliveredTo: { $ne: userId } },
-            { $push: { deliveredTo: userId }, $set: { status: 'delivered' } }
-        );
+        const cursors = await advanceCursorsForMessages(req.user._id, messageIds, 'delivered');
 
-        res.json({ message: 'Messages marked as delivered' });
+        res.json({ message: 'Messages marked as delivered', cursors });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
 };
 
 /**
- * Mark messages as seen for a user
+ * Mark messages as seen for a user by moving their read cursor
  */
 const markAsSeen = async (req, res) => {
     try {
         const { messageIds } = req.body;
         const userId = req.user._id;
 
-        await Message.updateMany(
-            { _id: { $in: messageIds }, seenBy: { $ne: userId } },
-            { $push: { seenBy: userId }, $set: { status: 'seen' } }
+        const cursors = await advanceCursorsForMessages(userId, messageIds, 'read');
+
+        const io = req.app.get('io');
+        // Broadcast only, like the socket handler; read receipts are not logged for resync
+        for (const cursor of cursors) {
+            io?.to(`group:${cursor.groupId}`).emit('read:updated', { userId, ...cursor });
+        }
+
+        res.json({ message: 'Messages marked as seen', cursors });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Unread counts for every group the user belongs to
+ */
+const getUnreadCounts = async (req, res) => {
+    try {
+        const groups = await getUnreadCountsForUser(req.user._id);
+        res.json({
+            groups,
+            totalUnread: groups.reduce((sum, group) => sum + group.unread, 0)
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Who has received and read a message, derived from the members' cursors
+ */
+const getMessageReceipts = async (req, res) => {
+    try {
+        const { messageId } = req.params;
+
+        if (!mongoose.isValidObjectId(messageId)) {
+            return res.status(400).json({ error: 'Invalid message ID' });
+        }
+
+        const message = await Message.findById(messageId, { groupId: 1, senderId: 1, createdAt: 1, deleted: 1 }).lean();
+        if (!message || message.deleted?.isDeleted) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        const group = await Group.findById(message.groupId, { users: 1, managers: 1 }).lean();
+        const userId = req.user._id.toString();
+        const isMember = group && (
+            group.users.some(user => user.toString() === userId) ||
+            group.managers.some(manager => manager.toString() === userId)
         );
 
-        res.json({ message: 'Messages marked as seen' });
+        if (!isMember && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Not authorized to view this message' });
+        }
+
+        res.json({ receipts: await getReadReceipts(message) });
     } catch (error) {
         res.status(500).json({ error: error.message });
     }
@@ -644,12 +1109,21 @@ const testGetMessages = async (req, res) => {
 
 module.exports = {
     sendMessage,
+    createPoll,
+    votePoll,
+    closePoll,
     getMessages,
+    getThread,
     testGetMessages,
     editMessage,
+    getMessageRevisions,
     deleteMessage,
+    addReaction,
+    removeReaction,
     searchMessages,
     forwardMessage,
     markAsDelivered,
-    markAsSeen
+    markAsSeen,
+    getUnreadCounts,
+    getMessageReceipts
 };
\ No newline at end of file
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Group = require('../models/Group');
+const { resolveThreadParent } = require('../services/threadService');
+const { resolveUploadedFile } = require('../services/fileStorageService');
+const { checkDirectSend } = require('../services/directMessageService');
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+
+const parseScheduledFor = (value) => {
+    const scheduledFor = new Date(value);
+    if (!value || isNaN(scheduledFor.getTime())) {
+        return { error: 'A valid scheduledFor date is required' };
+    }
+    if (scheduledFor.getTime() <= Date.now()) {
+        return { error: 'scheduledFor must be in the future' };
+    }
+    if (scheduledFor.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+        return { error: 'Messages can be scheduled at most one year ahead' };
+    }
+    return { scheduledFor };
+};
+
+/**
+ * Schedule a message to be posted to a group later
+ */
+const createScheduledMessage = async (req, res) => {
+    try {
+        const { text, groupId, file, parentId, scheduledFor } = req.body;
+        const userId = req.user._id;
+
+        if (!text && !file) {
+            return res.status(400).json({ error: 'Message text or file is required' });
+        }
+
+        if (!groupId) {
+            return res.status(400).json({ error: 'Group ID is required' });
+        }
+
+        const schedule = parseScheduledFor(scheduledFor);
+        if (schedule.error) {
+            return res.status(400).json({ error: schedule.error });
+        }
+
+        const group = await Group.findById(groupId, { type: 1, users: 1, managers: 1 }).lean();
+        if (!group) {
+            return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const isMember = group.users.some(user => user.toString() === userId.toString()) ||
+                        group.managers.some(manager => manager.toString() === userId.toString());
+
+        if (!isMember) {
+            return res.status(403).json({ error: 'You are not a member of this group' });
+        }
+
+        // Checked again on delivery, in case the DM rules change in the meantime
+        const directError = await checkDirectSend(group, req.user);
+        if (directError) {
+            return res.status(403).json({ error: directError });
+        }
+
+        if (parentId) {
+            const thread = await resolveThreadParent(parentId, groupId);
+            if (thread.error) {
+                return res.status(thread.status).json({ error: thread.error });
+            }
+        }
+
+        const attachment = await resolveUploadedFile(file);
+        if (attachment.error) {
+            return res.status(400).json({ error: attachment.error });
+        }
+
+        const scheduledMessage = await ScheduledMessage.create({
+            senderId: userId,
+            groupId,
+            text: text || '',
+            file: attachment.file,
+            parentId: parentId || null,
+            scheduledFor: schedule.scheduledFor
+        });
+
+        res.status(201).json({
+            message: 'Message scheduled successfully',
+            scheduledMessage
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * List the current user's scheduled messages
+ */
+const getScheduledMessages = async (req, res) => {
+    try {
+        const { groupId, status = 'pending', page = 1, limit = 20 } = req.query;
+        const skip = (page - 1) * limit;
+
+        const query = { senderId: req.user._id };
+        if (groupId) query.groupId = groupId;
+        if (status !== 'all') query.status = status;
+
+        const scheduledMessages = await ScheduledMessage.find(query)
+            .populate('groupId', 'name region')
+            .sort({ scheduledFor: 1 })
+            .skip(skip)
+            .limit(parseInt(limit))
+            .lean();
+
+        const total = await ScheduledMessage.countDocuments(query);
+
+        res.json({
+            scheduledMessages,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Update the text, file or time of a pending scheduled message
+ */
+const updateScheduledMessage = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { text, file, scheduledFor } = req.body;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid scheduled message ID' });
+        }
+
+        const update = {};
+        if (text !== undefined) update.text = text;
+        if (file !== undefined) {
+            const attachment = await resolveUploadedFile(file);
+            if (attachment.error) {
+                return res.status(400).json({ error: attachment.error });
+            }
+            update.file = attachment.file;
+        }
+        if (scheduledFor !== undefined) {
+            const schedule = parseScheduledFor(scheduledFor);
+            if (schedule.error) {
+                return res.status(400).json({ error: schedule.error });
+            }
+            update.scheduledFor = schedule.scheduledFor;
+            update.nextAttemptAt = null; // a new time replaces any pending retry delay
+        }
+
+        const existing = await ScheduledMessage.findOne({ _id: id, senderId: req.user._id, status: 'pending' }).lean();
+        if (!existing) {
+            return res.status(404).json({ error: 'Pending scheduled message not found' });
+        }
+
+        const nextText = update.text !== undefined ? update.text : existing.text;
+        const nextFile = update.file !== undefined ? update.file : existing.file;
+        if (!nextText && !nextFile?.url) {
+            return res.status(400).json({ error: 'Message text or file is required' });
+        }
+
+        // The status guard keeps this from racing the worker once it has claimed the message
+        const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+            { _id: id, senderId: req.user._id, status: 'pending' },
+            { $set: update },
+            { new: true, runValidators: true }
+        );
+
+        if (!scheduledMessage) {
+            return res.status(409).json({ error: 'Scheduled message is already being sent' });
+        }
+
+        res.json({
+            message: 'Scheduled message updated successfully',
+            scheduledMessage
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Cancel a pending scheduled message
+ */
+const cancelScheduledMessage = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ error: 'Invalid scheduled message ID' });
+        }
+
+        const scheduledMessage = await ScheduledMessage.findOneAndUpdate(
+            { _id: id, senderId: req.user._id, status: 'pending' },
+            { $set: { status: 'cancelled' } },
+            { new: true }
+        );
+
+        if (!scheduledMessage) {
+            return res.status(404).json({ error: 'Pending scheduled message not found' });
+        }
+
+        res.json({ message: 'Scheduled message cancelled successfully', scheduledMessage });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    createScheduledMessage,
+    getScheduledMessages,
+    updateScheduledMessage,
+    cancelScheduledMessage
+};
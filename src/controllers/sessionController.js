@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { listSessions, revokeSession, revokeUserSessions } = require('../services/sessionService');
+
+/**
+ * The caller's active sessions (devices), with the current one marked
+ */
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await listSessions(req.app.get('io'), req.user._id, { currentSessionId: req.sessionId });
+        res.json({ sessions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Sign out one of the caller's devices
+ */
+const revokeOwnSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        if (!mongoose.isValidObjectId(sessionId)) {
+            return res.status(400).json({ error: 'Invalid session ID' });
+        }
+
+        const revoked = await revokeSession(req.app.get('io'), sessionId, {
+            userId: req.user._id,
+            revokedBy: req.user._id
+        });
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Sign out all of the caller's other devices; with includeCurrent=true, this one too
+ */
+const revokeOwnSessions = async (req, res) => {
+    try {
+        const includeCurrent = req.query.includeCurrent === 'true';
+
+        const revoked = await revokeUserSessions(req.app.get('io'), req.user._id, {
+            exceptSessionId: includeCurrent ? undefined : req.sessionId,
+            revokedBy: req.user._id
+        });
+
+        res.json({ message: `${revoked} session(s) revoked`, revoked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const findTargetUser = async (req, res) => {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+        res.status(400).json({ error: 'Invalid user ID' });
+        return null;
+    }
+
+    const user = await User.findById(userId, { _id: 1 }).lean();
+    if (!user) {
+        res.status(404).json({ error: 'User not found' });
+        return null;
+    }
+    return user;
+};
+
+/**
+ * Admin: a user's active sessions
+ */
+const getUserSessions = async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const sessions = await listSessions(req.app.get('io'), user._id, { currentSessionId: req.sessionId });
+        res.json({ sessions });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Admin: revoke one of a user's sessions
+ */
+const revokeUserSession = async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const { sessionId } = req.params;
+        if (!mongoose.isValidObjectId(sessionId)) {
+            return res.status(400).json({ error: 'Invalid session ID' });
+        }
+
+        const revoked = await revokeSession(req.app.get('io'), sessionId, {
+            userId: user._id,
+            revokedBy: req.user._id
+        });
+        if (!revoked) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ message: 'Session revoked' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Admin: revoke all of a user's sessions
+ */
+const revokeAllUserSessions = async (req, res) => {
+    try {
+        const user = await findTargetUser(req, res);
+        if (!user) return;
+
+        const revoked = await revokeUserSessions(req.app.get('io'), user._id, { revokedBy: req.user._id });
+
+        res.json({ message: `${revoked} session(s) revoked`, revoked });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    getSessions,
+    revokeOwnSession,
+    revokeOwnSessions,
+    getUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions,
+};
@@ -0,0 +1,236 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { setSetting } = require('../services/settingsService');
+const {
+    POLICY_KEY,
+    validateTwoFactorPolicy,
+    getTwoFactorPolicy,
+    isRequiredFor,
+    verifyChallenge,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+} = require('../services/twoFactorService');
+const { beginLoginAttempt, loginSucceeded } = require('../services/loginThrottleService');
+const { completeLogin, sendThrottled, rejectLogin, checkCurrentPassword } = require('./authController');
+
+/**
+ * Check a second factor for `user`, counting it towards the same lockout as password and PIN
+ * attempts so codes cannot be guessed. Responds and returns null when the check fails.
+ */
+const checkSecondFactor = async (req, res, user, { code, recoveryCode }) => {
+    const throttled = await beginLoginAttempt(user.email, '2fa', { ip: req.ip });
+    if (throttled) {
+        sendThrottled(res, throttled);
+        return null;
+    }
+
+    const result = await verifySecondFactor(user._id, { code, recoveryCode });
+    if (result.error) {
+        if (result.status === 401) {
+            await rejectLogin(req, res, { email: user.email, method: '2fa', user, error: result.error });
+        } else {
+            res.status(result.status).json({ error: result.error });
+        }
+        return null;
+    }
+
+    await loginSucceeded(user.email, '2fa', { ip: req.ip });
+    return result;
+};
+
+/**
+ * The caller's 2FA state: whether it is on, whether their role requires it and how many recovery codes are left
+ */
+const getStatus = async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes').lean();
+        const policy = await getTwoFactorPolicy();
+
+        res.json({
+            enabled: Boolean(user.twoFactor?.enabled),
+            enabledAt: user.twoFactor?.enabledAt || null,
+            required: isRequiredFor(policy, user),
+            recoveryCodesRemaining: user.twoFactor?.enabled ? (user.twoFactor.recoveryCodes || []).length : 0
+        });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Start enrollment: returns the secret and an otpauth:// URI (for a QR code) for the authenticator app
+ */
+const setup = async (req, res) => {
+    try {
+        const result = await beginEnrollment(req.user._id);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json(result);
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Confirm enrollment with a code from the app. Returns the recovery codes, which are not shown again.
+ * Mid-login (with a setup challenge token) this also completes the login.
+ */
+const enable = async (req, res) => {
+    try {
+        const result = await confirmEnrollment(req.user._id, req.body.code);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        const message = 'Two-factor authentication enabled';
+        if (req.twoFactorChallenge) {
+            const user = await User.findById(req.user._id).populate('groupId');
+            return completeLogin(req, res, user, { message, recoveryCodes: result.recoveryCodes });
+        }
+
+        res.json({ message, recoveryCodes: result.recoveryCodes });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Second step of a login: the challenge token from /login (or /login-pin) plus a code or a recovery code
+ */
+const verifyLogin = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const challenge = verifyChallenge(challengeToken);
+        if (!challenge) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token, please log in again' });
+        }
+        if (challenge.setup) {
+            return res.status(403).json({ error: 'Two-factor authentication has to be set up first', setupRequired: true });
+        }
+        if (!code && !recoveryCode) {
+            return res.status(400).json({ error: 'code or recoveryCode is required' });
+        }
+
+        const user = await User.findById(challenge.userId).populate('groupId');
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token, please log in again' });
+        }
+
+        const result = await checkSecondFactor(req, res, user, { code, recoveryCode });
+        if (!result) return;
+
+        await completeLogin(req, res, user, result.usedRecoveryCode
+            ? { recoveryCodesRemaining: result.remainingRecoveryCodes }
+            : {});
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Turn 2FA off; needs the password and a current code (or a recovery code).
+ * Not possible while the policy requires 2FA for the caller's role.
+ */
+const disable = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (isRequiredFor(await getTwoFactorPolicy(), req.user)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+        if (!await checkCurrentPassword(req, res, password)) return;
+        if (!await checkSecondFactor(req, res, req.user, { code, recoveryCode })) return;
+
+        await disableTwoFactor(req.user._id);
+
+        res.json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Replace the recovery codes after checking a current code (or one of the old recovery codes)
+ */
+const renewRecoveryCodes = async (req, res) => {
+    try {
+        const { code, recoveryCode } = req.body;
+
+        if (!await checkSecondFactor(req, res, req.user, { code, recoveryCode })) return;
+
+        const result = await regenerateRecoveryCodes(req.user._id);
+        if (result.error) {
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        res.json({ recoveryCodes: result.recoveryCodes });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+/**
+ * Admin: turn off a user's 2FA (lost device and recovery codes). If their role requires 2FA,
+ * their next login asks them to enroll again.
+ */
+const resetUserTwoFactor = async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (!mongoose.isValidObjectId(userId)) {
+            return res.status(400).json({ error: 'Invalid user ID' });
+        }
+
+        const user = await User.findById(userId, { _id: 1 }).lean();
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const reset = await disableTwoFactor(user._id);
+        console.log(`🔐 Two-factor authentication of user ${user._id} reset by admin ${req.user._id}`);
+
+        res.json({ message: reset ? 'Two-factor authentication reset' : 'Two-factor authentication was not enabled' });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const getPolicy = async (req, res) => {
+    try {
+        res.json({ policy: await getTwoFactorPolicy() });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+const updatePolicy = async (req, res) => {
+    try {
+        const { policy, error } = validateTwoFactorPolicy(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await setSetting(POLICY_KEY, policy, req.user._id);
+
+        res.json({ message: 'Two-factor policy updated successfully', policy });
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+};
+
+module.exports = {
+    getStatus,
+    setup,
+    enable,
+    verifyLogin,
+    disable,
+    renewRecoveryCodes,
+    resetUserTwoFactor,
+    getPolicy,
+    updatePolicy,
+};
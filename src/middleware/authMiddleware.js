@@ -1,5 +1,6 @@
 const { verify } = require('../utils/token');
 const User = require('../models/User');
+const { isSessionActive } = require('../services/sessionService');
 
 const auth = async (req, res, next) => {
     const authHeader = req.headers.authorization?.split(' ')[1];
@@ -9,7 +10,12 @@ const auth = async (req, res, next) => {
 
     try {
         const payload = verify(authHeader);
+        // A revoked session (logout, revoked device, refresh token reuse) takes its access tokens with it
+        if (!await isSessionActive(payload.sid)) {
+            return res.status(401).send('Session has ended');
+        }
         req.user = await User.findById(payload.sub);
+        req.sessionId = payload.sid;
         next();
     } catch (e) {
         res.status(401).send('Invalid token');
@@ -0,0 +1,30 @@
+const auth = require('./authMiddleware');
+const User = require('../models/User');
+const { verifyChallenge } = require('../services/twoFactorService');
+
+// 2FA enrollment is open to logged-in users and, mid-login, to users holding the setup challenge
+// a login returns when their role requires 2FA they have not set up yet
+const authOrSetupChallenge = async (req, res, next) => {
+    const challengeToken = req.body?.challengeToken;
+    if (!challengeToken) {
+        return auth(req, res, next);
+    }
+
+    const challenge = verifyChallenge(challengeToken);
+    if (!challenge || !challenge.setup) {
+        return res.status(401).send('Invalid challenge token');
+    }
+
+    try {
+        req.user = await User.findById(challenge.userId);
+        if (!req.user) {
+            return res.status(401).send('Invalid challenge token');
+        }
+        req.twoFactorChallenge = challenge;
+        next();
+    } catch (e) {
+        res.status(401).send('Invalid challenge token');
+    }
+};
+
+module.exports = { authOrSetupChallenge };
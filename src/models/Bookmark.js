@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// A message a user saved for later, with an optional private note
+const bookmarkSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    note: { type: String, maxlength: 500, default: '' }
+}, { timestamps: true });
+
+bookmarkSchema.index({ userId: 1, messageId: 1 }, { unique: true });
+bookmarkSchema.index({ userId: 1, createdAt: -1 });
+bookmarkSchema.index({ messageId: 1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// Unsent text a user is composing in a group (or in a thread of it), shared across their devices
+const draftSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null }, // thread root for reply drafts
+    text: { type: String, maxlength: 1000, default: '' },
+    version: { type: Number, default: 0 } // bumped on every save so devices can drop out-of-order updates
+}, { timestamps: true });
+
+draftSchema.index({ userId: 1, groupId: 1, parentId: 1 }, { unique: true });
+draftSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Draft', draftSchema);
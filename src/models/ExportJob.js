@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Background export of a group's message history, for groups too large to stream in one request
+const exportJobSchema = new mongoose.Schema({
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    format: { type: String, enum: ['json', 'csv', 'html'], required: true },
+    from: Date, // effective range, already limited to the requester's join date
+    to: Date,
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'failed', 'expired'],
+        default: 'queued'
+    },
+    fileName: String, // name of the finished file in the exports directory
+    size: Number,
+    messageCount: Number,
+    error: String,
+    completedAt: Date,
+    expiresAt: Date, // the file is removed after this
+    // Worker lease so only one server instance runs a given export
+    lockedBy: String,
+    lockedAt: Date,
+    attempts: { type: Number, default: 0 }
+}, { timestamps: true });
+
+exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ requestedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A forward into another group waiting for one of that group's managers to approve it
+const forwardRequestSchema = new mongoose.Schema({
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', required: true }, // the original
+    sourceGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    targetGroupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    text: { type: String, maxlength: 1000 }, // text of the copy as it will be posted (Message.text's limit)
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: Date,
+    reason: String,
+    forwardedMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' } // the copy once approved
+}, { timestamps: true });
+
+forwardRequestSchema.index({ targetGroupId: 1, status: 1, createdAt: -1 });
+forwardRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+// The same message can only wait once for the same group
+forwardRequestSchema.index(
+    { messageId: 1, targetGroupId: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+module.exports = mongoose.model('ForwardRequest', forwardRequestSchema);
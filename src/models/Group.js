@@ -2,10 +2,26 @@ const mongoose = require('mongoose');
 
 const groupSchema = new mongoose.Schema({
     name: String,
+    type: { type: String, enum: ['group', 'direct'], default: 'group' },
+    directKey: { type: String, unique: true, sparse: true }, // sorted participant ids for 1:1 conversations
     region: { type: String, index: true },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     managers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+    users: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    retention: {
+        mode: { type: String, enum: ['forever', 'days', 'disappearing'], default: 'forever' },
+        days: Number, // for 'days': messages older than this are removed
+        ttlSeconds: Number, // for 'disappearing': lifetime of each new message
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        updatedAt: Date
+    },
+    eventSeq: { type: Number, default: 0 }, // last sequence number handed to a group event
+    pinnedMessages: [{
+        _id: false,
+        messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+        pinnedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        pinnedAt: Date
+    }]
 }, { timestamps: true });
 
 module.exports = mongoose.model('Group', groupSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Log of broadcast group events so reconnecting clients can replay what they missed
+const groupEventSchema = new mongoose.Schema({
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    seq: { type: Number, required: true }, // per-group, strictly increasing
+    event: { type: String, required: true }, // socket event name, e.g. 'message:new'
+    payload: mongoose.Schema.Types.Mixed,
+    // Messages whose content the payload carries, so it can be redacted when they are deleted or expire
+    messageIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Message' }],
+    createdAt: { type: Date, default: Date.now }
+});
+
+groupEventSchema.index({ groupId: 1, seq: 1 }, { unique: true });
+groupEventSchema.index({ messageIds: 1 });
+groupEventSchema.index(
+    { createdAt: 1 },
+    { expireAfterSeconds: parseInt(process.env.GROUP_EVENT_TTL_SECONDS) || 7 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('GroupEvent', groupEventSchema);
@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Lease used to make sure a background job runs on one instance at a time
+const jobLockSchema = new mongoose.Schema({
+    _id: String, // job name
+    lockedBy: String,
+    lockedUntil: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model('JobLock', jobLockSchema);
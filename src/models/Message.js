@@ -1,9 +1,43 @@
 const mongoose = require('mongoose');
 
+const pollOptionSchema = new mongoose.Schema({
+    text: String,
+    votes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+});
+
+const pollSchema = new mongoose.Schema({
+    question: String,
+    options: [pollOptionSchema],
+    multipleChoice: { type: Boolean, default: false },
+    closesAt: Date,
+    closedAt: Date,
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+const quoteSchema = new mongoose.Schema({
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    senderUsername: String,
+    type: String,
+    text: String,
+    formatted: mongoose.Schema.Types.Mixed,
+    file: {
+        url: String,
+        mimetype: String,
+        originalname: String
+    },
+    createdAt: Date
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema({
     senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    type: { type: String, enum: ['text', 'poll'], default: 'text' },
     text: { type: String, maxlength: 1000 },
+    // Parsed restricted markdown of `text` ({ version, blocks }), see utils/formatter
+    formatted: mongoose.Schema.Types.Mixed,
+    // Copy of the quoted message taken when this one was sent; later edits or deletes don't change it
+    quote: quoteSchema,
     file: { 
         url: String, 
         key: String,
@@ -11,13 +45,42 @@ const messageSchema = new mongoose.Schema({
         mimetype: String,
         originalname: String
     },
-    tags: [String],
+    tags: [String], // regions from @region:<name>, used for forwarding
+    mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }], // users mentioned with @username
+    mentionsGroup: { type: String, enum: ['here', 'all'] }, // @here / @all
+    poll: pollSchema, // only set on messages of type 'poll'
     forwardedToGroups: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Group' }],
     forwardedFrom: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
-    status: { type: String, enum: ['sent', 'delivered', 'seen'], default: 'sent' },
-    deliveredTo: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    seenBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null }, // thread root for replies
+    scheduledMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'ScheduledMessage' },
+    publishedAt: Date, // scheduled messages: set once broadcast, so a retry after a crash still announces it
+    clientMessageId: String, // client-generated id, lets retried sends be deduplicated per sender
+    // Where an imported message came from; re-running an import skips messages already brought in
+    importRef: {
+        source: String,
+        externalId: String
+    },
+    expiresAt: Date, // disappearing messages are purged once this passes
+    replyCount: { type: Number, default: 0 },
+    lastReplyAt: Date,
+    reactions: [{
+        _id: false,
+        emoji: String,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        createdAt: Date
+    }],
     edited: { isEdited: Boolean, editedAt: Date },
+    // Previous revisions of the text, oldest first. Hidden from normal queries.
+    editHistory: {
+        type: [{
+            _id: false,
+            text: String,
+            createdAt: Date, // when this revision became the current text
+            replacedAt: Date,
+            editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+        }],
+        select: false
+    },
     deleted: {
         isDeleted: Boolean,
         deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
@@ -26,5 +89,27 @@ const messageSchema = new mongoose.Schema({
 }, { timestamps: true });
 
 messageSchema.index({ groupId: 1, createdAt: -1 });
+messageSchema.index({ parentId: 1, createdAt: 1 });
+messageSchema.index({ expiresAt: 1 }, { sparse: true });
+// A scheduled message can only ever produce one real message
+messageSchema.index(
+    { scheduledMessageId: 1 },
+    { unique: true, partialFilterExpression: { scheduledMessageId: { $exists: true } } }
+);
+// Full-text search, message text ranked above file names
+messageSchema.index(
+    { text: 'text', 'file.originalname': 'text' },
+    { name: 'text_search_idx', weights: { text: 10, 'file.originalname': 2 } }
+);
+// A retried send with the same client id never creates a second message
+messageSchema.index(
+    { senderId: 1, clientMessageId: 1 },
+    { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
+// One message per imported record
+messageSchema.index(
+    { 'importRef.source': 1, 'importRef.externalId': 1 },
+    { unique: true, partialFilterExpression: { 'importRef.externalId': { $type: 'string' } } }
+);
 
 module.exports = mongoose.model('Message', messageSchema);
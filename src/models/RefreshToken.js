@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// One refresh token. Only the SHA-256 hash of the token is stored; every refresh replaces the
+// token with a new one in the same family. The family id is the id of the login Session.
+const refreshTokenSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true },
+    familyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: Date, // set when the token is exchanged; presenting it again is reuse
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'RefreshToken' },
+    revokedAt: Date,
+    revokedReason: { type: String, enum: ['logout', 'reuse', 'revoked', 'credentials_changed', 'two_factor_required'] },
+    userAgent: String,
+    ip: String
+}, { timestamps: true });
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1, createdAt: -1 });
+// Expired tokens are of no use, not even for reuse detection
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
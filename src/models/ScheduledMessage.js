@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const scheduledMessageSchema = new mongoose.Schema({
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group', required: true },
+    text: { type: String, maxlength: 1000 },
+    file: {
+        url: String,
+        key: String,
+        size: Number,
+        mimetype: String,
+        originalname: String
+    },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message', default: null },
+    scheduledFor: { type: Date, required: true },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'sent', 'cancelled', 'failed'],
+        default: 'pending'
+    },
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' }, // the posted message once sent
+    sentAt: Date,
+    // Worker lease so only one server instance delivers a given message
+    lockedBy: String,
+    lockedAt: Date,
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: Date, // set after a failed attempt; the worker retries no earlier than this
+    lastError: String
+}, { timestamps: true });
+
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ senderId: 1, scheduledFor: 1 });
+
+module.exports = mongoose.model('ScheduledMessage', scheduledMessageSchema);
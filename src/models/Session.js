@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One login on one device. Its id is the `sid` in access tokens and the family of its refresh tokens.
+const sessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deviceName: { type: String, maxlength: 100 }, // optional label sent by the client at login
+    userAgent: String,
+    ip: String, // where the session was created
+    lastIp: String, // where it was last refreshed from
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }, // moves forward with every refresh
+    revokedAt: Date,
+    revokedReason: { type: String, enum: ['logout', 'reuse', 'revoked', 'credentials_changed', 'two_factor_required'] },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
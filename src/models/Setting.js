@@ -0,0 +1,10 @@
+const mongoose = require('mongoose');
+
+// Admin-editable application settings, one document per key
+const settingSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true },
+    value: mongoose.Schema.Types.Mixed,
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -5,12 +5,34 @@ const userSchema = new mongoose.Schema({
     email: { type: String, unique: true },
     password: String, // hashed
     pin: String, // hashed pin for quick access
+    passwordChangedAt: Date,
+    pinChangedAt: Date,
     role: { type: String, enum: ['admin', 'manager', 'user'], default: 'user' },
-    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
-    groupJoinedAt: Date, // Track when user joined their current group
+    groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' }, // primary group, used as the default target
+    groupJoinedAt: Date, // Legacy: join date of groupId for users without memberships
+    memberships: [{
+        _id: false,
+        groupId: { type: mongoose.Schema.Types.ObjectId, ref: 'Group' },
+        role: { type: String, enum: ['member', 'manager'], default: 'member' },
+        joinedAt: Date,
+        // Read/delivery cursors: everything up to these messages has been seen/received
+        lastReadAt: Date,
+        lastReadMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+        lastDeliveredAt: Date,
+        lastDeliveredMessageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' }
+    }],
     isOnline: { type: Boolean, default: false },
     lastSeen: Date,
-    notifications: [{ type: Object }]
+    notifications: [{ type: Object }],
+    // TOTP second factor; secrets are encrypted and never selected unless asked for
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        pendingSecret: { type: String, select: false }, // enrollment started but not confirmed with a code yet
+        recoveryCodes: { type: [String], select: false }, // SHA-256 hashes, each usable once
+        lastUsedStep: { type: Number, select: false }, // a code is accepted only once
+        enabledAt: Date
+    }
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', userSchema);
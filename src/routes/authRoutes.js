@@ -1,6 +1,39 @@
 const express = require('express');
-const { register, login, loginWithPin, refreshToken, logout, getProfile, createUser, getUsers } = require('../controllers/authController');
+const {
+    register,
+    login,
+    loginWithPin,
+    refreshToken,
+    logout,
+    getProfile,
+    createUser,
+    getUsers,
+    changePassword,
+    setPin,
+    removePin,
+    unlockUser
+} = require('../controllers/authController');
+const {
+    getSessions,
+    revokeOwnSession,
+    revokeOwnSessions,
+    getUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions
+} = require('../controllers/sessionController');
+const {
+    getStatus: getTwoFactorStatus,
+    setup: setupTwoFactor,
+    enable: enableTwoFactor,
+    verifyLogin: verifyTwoFactorLogin,
+    disable: disableTwoFactor,
+    renewRecoveryCodes,
+    resetUserTwoFactor,
+    getPolicy: getTwoFactorPolicy,
+    updatePolicy: updateTwoFactorPolicy
+} = require('../controllers/twoFactorController');
 const auth = require('../middleware/authMiddleware');
+const { authOrSetupChallenge } = require('../middleware/twoFactorChallenge');
 const { requireAdmin } = require('../middleware/rbac');
 
 const router = express.Router();
@@ -11,7 +44,30 @@ router.post('/login-pin', loginWithPin);
 router.post('/refresh', refreshToken);
 router.post('/logout', auth, logout);
 router.get('/profile', auth, getProfile);
+router.put('/password', auth, changePassword);
+router.put('/pin', auth, setPin);
+router.delete('/pin', auth, removePin);
 router.get('/users', auth, requireAdmin, getUsers);
 router.post('/create-user', auth, requireAdmin, createUser);
+router.post('/users/:userId/unlock', auth, requireAdmin, unlockUser);
+
+// Sessions (one per logged-in device)
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions', auth, revokeOwnSessions);
+router.delete('/sessions/:sessionId', auth, revokeOwnSession);
+router.get('/users/:userId/sessions', auth, requireAdmin, getUserSessions);
+router.delete('/users/:userId/sessions', auth, requireAdmin, revokeAllUserSessions);
+router.delete('/users/:userId/sessions/:sessionId', auth, requireAdmin, revokeUserSession);
+
+// Two-factor authentication (TOTP)
+router.post('/2fa/verify', verifyTwoFactorLogin);
+router.get('/2fa', auth, getTwoFactorStatus);
+router.post('/2fa/setup', authOrSetupChallenge, setupTwoFactor);
+router.post('/2fa/enable', authOrSetupChallenge, enableTwoFactor);
+router.post('/2fa/disable', auth, disableTwoFactor);
+router.post('/2fa/recovery-codes', auth, renewRecoveryCodes);
+router.get('/2fa/policy', auth, requireAdmin, getTwoFactorPolicy);
+router.put('/2fa/policy', auth, requireAdmin, updateTwoFactorPolicy);
+router.delete('/users/:userId/2fa', auth, requireAdmin, resetUserTwoFactor);
 
 module.exports = router;
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+    createBookmark,
+    getBookmarks,
+    updateBookmark,
+    deleteBookmark
+} = require('../controllers/bookmarkController');
+const auth = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.post('/', createBookmark);
+router.get('/', getBookmarks);
+router.put('/:bookmarkId', updateBookmark);
+router.delete('/:bookmarkId', deleteBookmark);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+    openConversation,
+    getConversations,
+    getPolicy,
+    updatePolicy
+} = require('../controllers/directController');
+const auth = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/rbac');
+
+const router = express.Router();
+
+router.use(auth); // all routes require auth
+
+router.get('/', getConversations);
+router.get('/policy', requireAdmin, getPolicy);
+router.put('/policy', requireAdmin, updatePolicy);
+router.post('/:userId', openConversation);
+
+module.exports = router;
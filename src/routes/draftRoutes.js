@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+    getDrafts,
+    updateDraft,
+    removeDraft
+} = require('../controllers/draftController');
+const auth = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get('/', getDrafts);
+router.put('/:groupId', updateDraft);
+router.delete('/:groupId', removeDraft);
+
+module.exports = router;
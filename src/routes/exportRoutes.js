@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+    getExportJobs,
+    getExportJob,
+    downloadExport
+} = require('../controllers/exportController');
+const auth = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.get('/', getExportJobs);
+router.get('/:jobId', getExportJob);
+router.get('/:jobId/download', downloadExport);
+
+module.exports = router;
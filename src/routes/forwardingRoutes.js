@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+    getForwardRequests,
+    approveForwardRequest,
+    rejectForwardRequest,
+    cancelForwardRequest,
+    getPolicy,
+    updatePolicy
+} = require('../controllers/forwardingController');
+const auth = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/rbac');
+
+const router = express.Router();
+
+router.use(auth); // all routes require auth
+
+router.get('/policy', requireAdmin, getPolicy);
+router.put('/policy', requireAdmin, updatePolicy);
+router.get('/requests', getForwardRequests);
+router.post('/requests/:requestId/approve', approveForwardRequest);
+router.post('/requests/:requestId/reject', rejectForwardRequest);
+router.delete('/requests/:requestId', cancelForwardRequest);
+
+module.exports = router;
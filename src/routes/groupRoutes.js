@@ -10,8 +10,15 @@ const {
     addUserToGroup,
     removeUserFromGroup,
     addManager,
-    removeManager
+    removeManager,
+    getPinnedMessages,
+    pinMessage,
+    unpinMessage,
+    getRetentionPolicy,
+    getGroupEvents,
+    updateRetentionPolicy
 } = require('../controllers/groupController');
+const { exportGroupMessages } = require('../controllers/exportController');
 const auth = require('../middleware/authMiddleware');
 const { requireRole } = require('../middleware/rbac');
 
@@ -30,5 +37,12 @@ router.post('/:groupId/users/:userId', requireRole(['admin']), addUserToGroup);
 router.delete('/:groupId/users/:userId', requireRole(['admin']), removeUserFromGroup);
 router.post('/:groupId/managers/:userId', requireRole(['admin']), addManager);
 router.delete('/:groupId/managers/:userId', requireRole(['admin']), removeManager);
+router.get('/:groupId/pins', getPinnedMessages);
+router.post('/:groupId/pins/:messageId', requireRole(['admin', 'manager']), pinMessage);
+router.delete('/:groupId/pins/:messageId', requireRole(['admin', 'manager']), unpinMessage);
+router.get('/:groupId/retention', getRetentionPolicy);
+router.get('/:groupId/events', getGroupEvents);
+router.get('/:groupId/export', requireRole(['admin', 'manager']), exportGroupMessages);
+router.put('/:groupId/retention', requireRole(['admin', 'manager']), updateRetentionPolicy);
 
 module.exports = router;
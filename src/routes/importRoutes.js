@@ -0,0 +1,16 @@
+const express = require('express');
+const { importHistory } = require('../controllers/importController');
+const auth = require('../middleware/authMiddleware');
+const { requireAdmin } = require('../middleware/rbac');
+
+const router = express.Router();
+
+router.use(auth, requireAdmin); // admin only
+
+// NDJSON bodies arrive as text; JSON documents are parsed by the app-wide JSON parser
+router.post('/', express.text({
+    type: ['application/x-ndjson', 'application/jsonl'],
+    limit: process.env.JSON_LIMIT || '10mb'
+}), importHistory);
+
+module.exports = router;
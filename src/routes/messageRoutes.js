@@ -1,13 +1,22 @@
 const express = require('express');
 const {
     sendMessage,
+    createPoll,
+    votePoll,
+    closePoll,
     getMessages,
+    getThread,
     editMessage,
+    getMessageRevisions,
     deleteMessage,
+    addReaction,
+    removeReaction,
     searchMessages,
     forwardMessage,
     markAsDelivered,
-    markAsSeen
+    markAsSeen,
+    getUnreadCounts,
+    getMessageReceipts
 } = require('../controllers/messageController');
 const auth = require('../middleware/authMiddleware');
 
@@ -16,10 +25,19 @@ const router = express.Router();
 router.use(auth);
 
 router.post('/', sendMessage);
+router.post('/polls', createPoll);
 router.get('/search', searchMessages);
+router.get('/unread', getUnreadCounts);
 router.get('/:groupId', getMessages);
+router.get('/:messageId/thread', getThread);
 router.put('/:messageId', editMessage);
+router.get('/:messageId/revisions', getMessageRevisions);
+router.get('/:messageId/receipts', getMessageReceipts);
 router.delete('/:messageId', deleteMessage);
+router.post('/:messageId/reactions', addReaction);
+router.delete('/:messageId/reactions/:emoji', removeReaction);
+router.post('/:messageId/poll/votes', votePoll);
+router.post('/:messageId/poll/close', closePoll);
 router.post('/:messageId/forward', forwardMessage);
 router.post('/delivered', markAsDelivered);
 router.post('/seen', markAsSeen);
@@ -0,0 +1,19 @@
+const express = require('express');
+const {
+    createScheduledMessage,
+    getScheduledMessages,
+    updateScheduledMessage,
+    cancelScheduledMessage
+} = require('../controllers/scheduledMessageController');
+const auth = require('../middleware/authMiddleware');
+
+const router = express.Router();
+
+router.use(auth);
+
+router.post('/', createScheduledMessage);
+router.get('/', getScheduledMessages);
+router.put('/:id', updateScheduledMessage);
+router.delete('/:id', cancelScheduledMessage);
+
+module.exports = router;
@@ -7,6 +7,9 @@ const initSocket = require('./sockets/chatSocket');
 const { connectRedis, disconnectRedis } = require('./config/redis');
 const envConfig = require('./config/environment');
 const { createIndexes } = require('./config/databaseIndexes');
+const { startScheduledMessageWorker } = require('./services/scheduledMessageService');
+const { startRetentionWorker } = require('./services/retentionService');
+const { startExportWorker } = require('./services/exportService');
 
 const server = http.createServer(app);
 
@@ -27,15 +30,22 @@ const server = http.createServer(app);
         const redisClient = await connectRedis();
 
         // Initialize Socket.io
-        const useRedis = process.env.USE_REDIS === 'true';
+        // A failed Redis connection falls back to the in-memory mock, which cannot back the adapter
+        const useRedis = process.env.USE_REDIS === 'true' && !redisClient.isMock;
+        let io;
         if (useRedis) {
             console.log('🔴 Using Redis adapter for Socket.io');
-            initSocket(server, redisClient, app);
+            io = initSocket(server, redisClient, app);
         } else {
             console.log('🔵 Using default Socket.io adapter');
-            initSocket(server, null, app);
+            io = initSocket(server, null, app);
         }
 
+        // Background jobs (safe to run on every instance)
+        const stopScheduledMessageWorker = startScheduledMessageWorker(io);
+        const stopRetentionWorker = startRetentionWorker(io);
+        const stopExportWorker = startExportWorker(io);
+
         const PORT = process.env.PORT || 5000;
         const HOST = process.env.HOST || '0.0.0.0';
         
@@ -59,6 +69,9 @@ const server = http.createServer(app);
         // Graceful shutdown
         process.on('SIGTERM', async () => {
             console.log('SIGTERM received, shutting down gracefully');
+            stopScheduledMessageWorker();
+            stopRetentionWorker();
+            stopExportWorker();
             await disconnectRedis();
             server.close(() => {
                 console.log('Process terminated');
@@ -68,6 +81,9 @@ const server = http.createServer(app);
 
         process.on('SIGINT', async () => {
             console.log('SIGINT received, shutting down gracefully');
+            stopScheduledMessageWorker();
+            stopRetentionWorker();
+            stopExportWorker();
             await disconnectRedis();
             server.close(() => {
                 console.log('Process terminated');
@@ -0,0 +1,138 @@
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { getSetting } = require('./settingsService');
+const { addMembership } = require('./membershipService');
+
+const POLICY_KEY = 'directMessagePolicy';
+const ROLES = ['admin', 'manager', 'user'];
+
+// Everyone may DM everyone until an admin configures rules
+const DEFAULT_POLICY = { defaultAllow: true, rules: [] };
+
+/**
+ * Validate a DM policy payload.
+ * Rules are checked in order; the first rule matching both roles decides.
+ * A rule looks like { fromRole, toRole, allow, sameRegion } where roles may be '*'.
+ */
+const validateDirectMessagePolicy = ({ defaultAllow = true, rules = [] } = {}) => {
+    if (!Array.isArray(rules)) {
+        return { error: 'rules must be an array' };
+    }
+
+    const validRole = role => role === '*' || ROLES.includes(role);
+    const cleaned = [];
+
+    for (const rule of rules) {
+        if (!rule || !validRole(rule.fromRole) || !validRole(rule.toRole)) {
+            return { error: `Each rule needs fromRole and toRole (one of: *, ${ROLES.join(', ')})` };
+        }
+        cleaned.push({
+            fromRole: rule.fromRole,
+            toRole: rule.toRole,
+            allow: rule.allow !== false,
+            sameRegion: !!rule.sameRegion
+        });
+    }
+
+    return { policy: { defaultAllow: defaultAllow !== false, rules: cleaned } };
+};
+
+const getDirectMessagePolicy = () => getSetting(POLICY_KEY, DEFAULT_POLICY);
+
+const getUserRegions = async (userId) => {
+    const groups = await Group.find(
+        { type: { $ne: 'direct' }, region: { $ne: null }, $or: [{ users: userId }, { managers: userId }] },
+        { region: 1 }
+    ).lean();
+    return new Set(groups.map(group => group.region.toLowerCase()));
+};
+
+/**
+ * Check the admin-configured rules for whether `fromUser` may DM `toUser`.
+ * Admins can always start a conversation.
+ */
+const canDirectMessage = async (fromUser, toUser) => {
+    if (fromUser.role === 'admin') return true;
+
+    const policy = await getDirectMessagePolicy();
+    const rule = (policy.rules || []).find(candidate =>
+        (candidate.fromRole === '*' || candidate.fromRole === fromUser.role) &&
+        (candidate.toRole === '*' || candidate.toRole === toUser.role)
+    );
+
+    if (!rule) return policy.defaultAllow !== false;
+    if (!rule.allow) return false;
+    if (!rule.sameRegion) return true;
+
+    const [fromRegions, toRegions] = await Promise.all([
+        getUserRegions(fromUser._id),
+        getUserRegions(toUser._id)
+    ]);
+    return [...fromRegions].some(region => toRegions.has(region));
+};
+
+/**
+ * Re-check the policy for a message sent into a direct conversation.
+ * Returns an error message or null when sending is allowed.
+ */
+const checkDirectSend = async (conversation, sender) => {
+    if (conversation.type !== 'direct') return null;
+
+    const otherId = conversation.users.find(id => id.toString() !== sender._id.toString());
+    const other = otherId ? await User.findById(otherId, { role: 1 }).lean() : null;
+    if (!other) {
+        return 'The other participant no longer exists';
+    }
+
+    return (await canDirectMessage(sender, other))
+        ? null
+        : 'You are not allowed to send direct messages to this user';
+};
+
+const directKeyFor = (userA, userB) =>
+    [userA.toString(), userB.toString()].sort().join(':');
+
+/**
+ * Find the 1:1 conversation between two users, creating it if needed.
+ * The unique directKey makes concurrent calls converge on one conversation.
+ */
+const getOrCreateConversation = async (fromUser, toUser) => {
+    const directKey = directKeyFor(fromUser._id, toUser._id);
+
+    try {
+        const result = await Group.findOneAndUpdate(
+            { directKey },
+            {
+                $setOnInsert: {
+                    type: 'direct',
+                    directKey,
+                    createdBy: fromUser._id,
+                    users: [fromUser._id, toUser._id],
+                    managers: []
+                }
+            },
+            { upsert: true, new: true, rawResult: true }
+        );
+        const created = !result.lastErrorObject?.updatedExisting;
+
+        if (created) {
+            await Promise.all([fromUser._id, toUser._id].map(userId =>
+                addMembership(userId, result.value._id, { setPrimary: false })
+            ));
+        }
+
+        return { conversation: result.value, created };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return { conversation: await Group.findOne({ directKey }), created: false };
+    }
+};
+
+module.exports = {
+    POLICY_KEY,
+    validateDirectMessagePolicy,
+    getDirectMessagePolicy,
+    canDirectMessage,
+    checkDirectSend,
+    getOrCreateConversation
+};
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const Draft = require('../models/Draft');
+const Group = require('../models/Group');
+const { resolveThreadParent } = require('./threadService');
+
+const MAX_DRAFT_LENGTH = 1000;
+
+const draftKey = (userId, groupId, parentId) => ({ userId, groupId, parentId: parentId || null });
+
+// What clients get in events and responses
+const serializeDraft = (draft) => ({
+    groupId: draft.groupId,
+    parentId: draft.parentId || null,
+    text: draft.text,
+    version: draft.version,
+    updatedAt: draft.updatedAt
+});
+
+const isGroupMember = async (userId, groupId) => {
+    const group = await Group.findById(groupId, { users: 1, managers: 1 }).lean();
+    return Boolean(group) && (
+        group.users.some(id => id.toString() === userId.toString()) ||
+        group.managers.some(id => id.toString() === userId.toString())
+    );
+};
+
+/**
+ * Save the caller's draft for a group (or a thread in it). Saving empty text clears the draft.
+ * Returns { error, status } or { draft } where draft is null once cleared; a cleared draft also
+ * comes with the thread root it was kept under as parentId.
+ */
+const saveDraft = async (userId, { groupId, parentId, text }) => {
+    if (!mongoose.isValidObjectId(groupId)) {
+        return { error: 'Invalid group ID', status: 400 };
+    }
+    if (parentId && !mongoose.isValidObjectId(parentId)) {
+        return { error: 'Invalid parent message ID', status: 400 };
+    }
+    if (typeof text !== 'string' || text.length > MAX_DRAFT_LENGTH) {
+        return { error: `text must be a string of at most ${MAX_DRAFT_LENGTH} characters`, status: 400 };
+    }
+
+    if (!await isGroupMember(userId, groupId)) {
+        return { error: 'You are not a member of this group', status: 403 };
+    }
+
+    // Keyed by the thread root, which is what a sent reply clears
+    let threadParentId = null;
+    if (parentId) {
+        const thread = await resolveThreadParent(parentId, groupId);
+        if (thread.error) return thread;
+        threadParentId = thread.parentId;
+    }
+
+    if (!text.trim()) {
+        await Draft.deleteOne(draftKey(userId, groupId, threadParentId));
+        return { draft: null, parentId: threadParentId };
+    }
+
+    const draft = await Draft.findOneAndUpdate(
+        draftKey(userId, groupId, threadParentId),
+        { $set: { text }, $inc: { version: 1 } },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    return { draft: serializeDraft(draft) };
+};
+
+/**
+ * Remove a draft. Returns true if there was one.
+ */
+const deleteDraft = async (userId, groupId, parentId) => {
+    const result = await Draft.deleteOne(draftKey(userId, groupId, parentId));
+    return result.deletedCount > 0;
+};
+
+/**
+ * The caller's drafts in groups they still belong to, most recently edited first
+ */
+const getDrafts = async (userId, { groupId } = {}) => {
+    const groups = await Group.find({ $or: [{ users: userId }, { managers: userId }] }, { _id: 1 }).lean();
+    let groupIds = groups.map(group => group._id);
+    if (groupId) {
+        groupIds = groupIds.filter(id => id.toString() === String(groupId));
+    }
+
+    const drafts = await Draft.find({ userId, groupId: { $in: groupIds } })
+        .sort({ updatedAt: -1 })
+        .lean();
+
+    return drafts.map(serializeDraft);
+};
+
+/**
+ * Clear the draft a message was sent from and tell the sender's devices.
+ * A draft edited after `sentAt` (e.g. on another device) is newer than the message and is kept.
+ */
+const clearSentDraft = async (io, { userId, groupId, parentId, sentAt = new Date() }) => {
+    const result = await Draft.deleteOne({
+        ...draftKey(userId, groupId, parentId),
+        updatedAt: { $lte: sentAt }
+    });
+
+    if (result.deletedCount > 0) {
+        io?.to(`user:${userId}`).emit('draft:cleared', { groupId, parentId: parentId || null });
+    }
+};
+
+module.exports = {
+    saveDraft,
+    deleteDraft,
+    getDrafts,
+    clearSentDraft
+};
@@ -0,0 +1,423 @@
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const ExportJob = require('../models/ExportJob');
+const { getMembership } = require('./membershipService');
+const { sendNotification } = require('./notificationService');
+const { INSTANCE_ID } = require('./jobLockService');
+
+// Outside uploads/, which is served publicly; exports are only reachable through the download endpoint
+const exportsDir = path.join(__dirname, '../../exports');
+
+const EXPORT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+const LEASE_TIMEOUT_MS = 30 * 60 * 1000;
+const MAX_ATTEMPTS = 3;
+
+const CSV_COLUMNS = [
+    'id', 'createdAt', 'sender', 'senderEmail', 'type', 'text', 'threadParentId', 'edited', 'forwarded',
+    'attachmentName', 'attachmentUrl', 'attachmentType', 'attachmentSize'
+];
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Quote every field; a leading =, +, - or @ is neutralised so spreadsheets do not run it as a formula
+const escapeCsv = (value) => {
+    let text = String(value ?? '');
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * The exported shape of one message, shared by all formats
+ */
+const toExportRecord = (message) => ({
+    id: message._id.toString(),
+    createdAt: message.createdAt.toISOString(),
+    sender: message.senderId?.username || 'Deleted user',
+    senderEmail: message.senderId?.email || '',
+    type: message.type || 'text',
+    text: message.text || '',
+    threadParentId: message.parentId ? message.parentId.toString() : null,
+    edited: !!message.edited?.isEdited,
+    forwarded: !!message.forwardedFrom,
+    attachments: message.file?.url
+        ? [{
+            name: message.file.originalname,
+            url: message.file.url,
+            type: message.file.mimetype,
+            size: message.file.size
+        }]
+        : []
+});
+
+/**
+ * Build the writer for one output format: header, one chunk per message, footer
+ */
+const createFormatter = (format, meta) => {
+    if (format === 'csv') {
+        return {
+            // The byte order mark makes Excel read the file as UTF-8
+            header: () => `\uFEFF${CSV_COLUMNS.join(',')}\r\n`,
+            row: (record) => {
+                const attachment = record.attachments[0] || {};
+                return `${[
+                    record.id, record.createdAt, record.sender, record.senderEmail, record.type, record.text,
+                    record.threadParentId, record.edited, record.forwarded,
+                    attachment.name, attachment.url, attachment.type, attachment.size
+                ].map(escapeCsv).join(',')}\r\n`;
+            },
+            footer: () => ''
+        };
+    }
+
+    if (format === 'html') {
+        const title = `${meta.group.name || 'Conversation'} – message export`;
+        return {
+            header: () => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 860px; margin: 2rem auto; color: #1f2933; }
+header { border-bottom: 1px solid #d9e2ec; margin-bottom: 1rem; }
+article { padding: .5rem 0; border-bottom: 1px solid #f0f4f8; }
+article.reply { margin-left: 2rem; }
+.meta { color: #627d98; font-size: .85rem; }
+.sender { font-weight: 600; color: #1f2933; }
+.text { white-space: pre-wrap; margin: .25rem 0; }
+.attachments { margin: .25rem 0; padding-left: 1.25rem; font-size: .9rem; }
+</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(meta.group.name || 'Conversation')}</h1>
+<p class="meta">Exported ${escapeHtml(meta.exportedAt.toISOString())} by ${escapeHtml(meta.exportedBy)}${meta.from ? ` · from ${escapeHtml(meta.from.toISOString())}` : ''}${meta.to ? ` · to ${escapeHtml(meta.to.toISOString())}` : ''}</p>
+</header>
+<main>
+`,
+            row: (record) => `<article id="m-${record.id}"${record.threadParentId ? ' class="reply"' : ''}>
+<div class="meta"><span class="sender">${escapeHtml(record.sender)}</span> · <time datetime="${record.createdAt}">${escapeHtml(record.createdAt)}</time>${record.edited ? ' · edited' : ''}${record.forwarded ? ' · forwarded' : ''}${record.threadParentId ? ` · reply to <a href="#m-${record.threadParentId}">message</a>` : ''}</div>
+<div class="text">${escapeHtml(record.text)}</div>
+${record.attachments.length > 0 ? `<ul class="attachments">${record.attachments.map(file => `<li><a href="${escapeHtml(file.url)}">${escapeHtml(file.name)}</a> (${escapeHtml(file.type)}, ${escapeHtml(file.size)} bytes)</li>`).join('')}</ul>\n` : ''}</article>
+`,
+            footer: (count) => `</main>
+<footer class="meta"><p>${count} messages</p></footer>
+</body>
+</html>
+`
+        };
+    }
+
+    return {
+        header: () => `{"group":${JSON.stringify({ _id: meta.group._id, name: meta.group.name, region: meta.group.region })},` +
+            `"exportedAt":${JSON.stringify(meta.exportedAt)},"exportedBy":${JSON.stringify(meta.exportedBy)},` +
+            `"from":${JSON.stringify(meta.from || null)},"to":${JSON.stringify(meta.to || null)},"messages":[`,
+        row: (record, index) => `${index > 0 ? ',' : ''}\n${JSON.stringify(record)}`,
+        footer: (count) => `\n],"count":${count}}\n`
+    };
+};
+
+/**
+ * Check the caller may export the group and work out the date range.
+ * Same rules as getMessages (members only, nothing before their join date),
+ * and only the group's managers or admins can export.
+ * Returns { error, status } or { group, from, to }.
+ */
+const resolveExportRequest = async (user, groupId, { format, from, to } = {}) => {
+    if (!EXPORT_FORMATS[format]) {
+        return { error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`, status: 400 };
+    }
+
+    const group = await Group.findById(groupId, { name: 1, region: 1, type: 1, users: 1, managers: 1 }).lean();
+    if (!group) {
+        return { error: 'Group not found', status: 404 };
+    }
+
+    const isMember = group.users.some(id => id.toString() === user._id.toString()) ||
+        group.managers.some(id => id.toString() === user._id.toString());
+    if (!isMember) {
+        return { error: 'Not authorized to view messages', status: 403 };
+    }
+
+    const isManager = group.managers.some(id => id.toString() === user._id.toString());
+    if (user.role !== 'admin' && !isManager) {
+        return { error: 'Only group managers and admins can export messages', status: 403 };
+    }
+
+    const range = {};
+    for (const [key, value] of Object.entries({ from, to })) {
+        if (!value) continue;
+        range[key] = new Date(value);
+        if (isNaN(range[key].getTime())) {
+            return { error: `${key} must be a valid date`, status: 400 };
+        }
+    }
+
+    const membership = await getMembership(user._id, groupId);
+    const joinedAt = membership?.joinedAt ? new Date(membership.joinedAt) : null;
+    const effectiveFrom = joinedAt && (!range.from || range.from < joinedAt) ? joinedAt : range.from;
+
+    return { group, from: effectiveFrom || null, to: range.to || null };
+};
+
+const buildExportQuery = (groupId, from, to) => {
+    const query = {
+        groupId,
+        'deleted.isDeleted': { $ne: true },
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    };
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+    return query;
+};
+
+const countExportMessages = (query, limit) => Message.countDocuments(query, { limit });
+
+/**
+ * Stream matching messages into a writable stream, respecting back-pressure.
+ * Stops early if the destination goes away (e.g. the client disconnects). Returns the message count.
+ */
+const writeExport = async (output, { format, group, query, meta }) => {
+    const formatter = createFormatter(format, { ...meta, group });
+    // Wait for the buffer to drain, or for the destination to close so a disconnect cannot hang the export
+    const drained = () => new Promise(resolve => {
+        const done = () => {
+            output.off('drain', done);
+            output.off('close', done);
+            resolve();
+        };
+        output.on('drain', done);
+        output.on('close', done);
+    });
+    const write = async (chunk) => {
+        if (chunk && !output.destroyed && !output.write(chunk)) {
+            await drained();
+        }
+    };
+
+    const cursor = Message.find(query, {
+        text: 1, type: 1, file: 1, senderId: 1, parentId: 1, forwardedFrom: 1, edited: 1, createdAt: 1
+    })
+        .sort({ createdAt: 1, _id: 1 })
+        .populate('senderId', 'username email')
+        .lean()
+        .cursor();
+
+    let count = 0;
+    try {
+        await write(formatter.header());
+        for await (const message of cursor) {
+            if (output.destroyed) break;
+            await write(formatter.row(toExportRecord(message), count));
+            count += 1;
+        }
+        if (!output.destroyed) {
+            await write(formatter.footer(count));
+        }
+    } finally {
+        await cursor.close();
+    }
+
+    return count;
+};
+
+const exportFileName = (group, format, date = new Date()) => {
+    const slug = (group.name || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'conversation';
+    return `${slug}-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+};
+
+const exportFilePath = (job) => path.join(exportsDir, `${job._id}.${EXPORT_FORMATS[job.format].extension}`);
+
+/**
+ * Atomically claim the next queued export for this instance.
+ * Exports left running by a crashed instance are picked up again once their lease runs out.
+ */
+const claimExportJob = () => {
+    const now = new Date();
+    return ExportJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'queued' },
+                { status: 'running', lockedAt: { $lt: new Date(now.getTime() - LEASE_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'running', lockedBy: INSTANCE_ID, lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { createdAt: 1 }, new: true }
+    );
+};
+
+const runExportJob = async (io, job) => {
+    const group = await Group.findById(job.groupId, { name: 1, region: 1 }).lean();
+    if (!group) {
+        throw Object.assign(new Error('Group no longer exists'), { permanent: true });
+    }
+
+    const requester = await User.findById(job.requestedBy, { username: 1 }).lean();
+    const filePath = exportFilePath(job);
+    const partialPath = `${filePath}.part`;
+
+    await fs.promises.mkdir(exportsDir, { recursive: true });
+    const output = fs.createWriteStream(partialPath);
+
+    let count;
+    try {
+        count = await writeExport(output, {
+            format: job.format,
+            group,
+            query: buildExportQuery(job.groupId, job.from, job.to),
+            meta: { exportedAt: new Date(), exportedBy: requester?.username || 'unknown', from: job.from, to: job.to }
+        });
+        output.end();
+        await once(output, 'finish');
+    } catch (error) {
+        output.destroy();
+        await fs.promises.rm(partialPath, { force: true });
+        throw error;
+    }
+
+    await fs.promises.rename(partialPath, filePath);
+    const { size } = await fs.promises.stat(filePath);
+    const ttlHours = parseInt(process.env.EXPORT_FILE_TTL_HOURS) || 24;
+
+    const completed = await ExportJob.findOneAndUpdate(
+        { _id: job._id, lockedBy: INSTANCE_ID },
+        {
+            $set: {
+                status: 'completed',
+                fileName: exportFileName(group, job.format),
+                size,
+                messageCount: count,
+                completedAt: new Date(),
+                expiresAt: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+            },
+            $unset: { lockedBy: '', lockedAt: '', error: '' }
+        },
+        { new: true }
+    ).lean();
+
+    if (!completed) return;
+
+    const notification = {
+        type: 'export_ready',
+        title: `Your export of ${group.name} is ready`,
+        message: `${count} messages (${job.format.toUpperCase()})`,
+        exportJobId: job._id,
+        groupId: job.groupId,
+        groupName: group.name,
+        downloadUrl: `/api/exports/${job._id}/download`,
+        createdAt: new Date()
+    };
+    sendNotification(job.requestedBy, notification).catch(error => {
+        console.error('Error sending export notification:', error);
+    });
+    io?.to(`user:${job.requestedBy}`).emit('export:ready', { job: completed, notification });
+};
+
+/**
+ * Delete export files whose download window has passed
+ */
+const removeExpiredExports = async () => {
+    const expired = await ExportJob.find({ status: 'completed', expiresAt: { $lte: new Date() } }).lean();
+    for (const job of expired) {
+        await fs.promises.rm(exportFilePath(job), { force: true });
+        await ExportJob.updateOne({ _id: job._id, status: 'completed' }, { $set: { status: 'expired' } });
+    }
+    return expired.length;
+};
+
+/**
+ * Run queued exports one at a time
+ */
+const processExportJobs = async (io) => {
+    let processed = 0;
+
+    while (true) {
+        const job = await claimExportJob();
+        if (!job) break;
+        processed += 1;
+
+        try {
+            await runExportJob(io, job);
+            console.log(`📦 Export ${job._id} finished for group: ${job.groupId}`);
+        } catch (error) {
+            const failed = error.permanent || job.attempts >= MAX_ATTEMPTS;
+            console.error(`Error running export ${job._id}:`, error);
+
+            await ExportJob.updateOne(
+                { _id: job._id, lockedBy: INSTANCE_ID },
+                {
+                    $set: { status: failed ? 'failed' : 'queued', error: error.message },
+                    $unset: { lockedBy: '', lockedAt: '' }
+                }
+            );
+
+            if (failed) {
+                io?.to(`user:${job.requestedBy}`).emit('export:failed', {
+                    exportJobId: job._id,
+                    groupId: job.groupId,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    await removeExpiredExports();
+    return processed;
+};
+
+/**
+ * Poll for queued exports. Safe to run on every instance.
+ */
+const startExportWorker = (io) => {
+    const interval = parseInt(process.env.EXPORT_JOB_POLL_INTERVAL) || 10000;
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processExportJobs(io);
+        } catch (error) {
+            console.error('Error processing export jobs:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    console.log(`📦 Export worker started (every ${interval}ms)`);
+
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    EXPORT_FORMATS,
+    resolveExportRequest,
+    buildExportQuery,
+    countExportMessages,
+    writeExport,
+    exportFileName,
+    exportFilePath,
+    processExportJobs,
+    startExportWorker
+};
@@ -51,9 +51,20 @@ const uploadToLocal = multer({
     }
 });
 
+// Uploads are named by a bare file name; anything with a path in it could point outside chatFilesDir
+const localFilePath = (filename) => {
+    if (typeof filename !== 'string' || !filename || filename !== path.basename(filename)) return null;
+    const filePath = path.resolve(chatFilesDir, filename);
+    return path.dirname(filePath) === path.resolve(chatFilesDir) ? filePath : null;
+};
+
 const deleteFromLocal = async (filename) => {
     try {
-        const filePath = path.join(chatFilesDir, filename);
+        const filePath = localFilePath(filename);
+        if (!filePath) {
+            console.warn(`Refusing to delete file outside the uploads directory: ${filename}`);
+            return;
+        }
         if (fs.existsSync(filePath)) {
             fs.unlinkSync(filePath);
             console.log(`File deleted: ${filename}`);
@@ -71,9 +82,35 @@ const getFileUrl = (filename) => {
     return `${baseUrl}${uploadPath}/${filename}`;
 };
 
+/**
+ * Resolve the file a client attaches to a message (as returned by POST /api/files/upload) against
+ * the stored uploads. Only the key is trusted; url and size come from the upload itself.
+ * Returns { file } (null when there is none) or { error } when the key names no upload.
+ */
+const resolveUploadedFile = async (file) => {
+    if (!file) return { file: null };
+
+    const filePath = localFilePath(file.key);
+    const stats = filePath ? await fs.promises.stat(filePath).catch(() => null) : null;
+    if (!stats || !stats.isFile()) {
+        return { error: 'Attached file not found, upload it first' };
+    }
+
+    return {
+        file: {
+            url: getFileUrl(file.key),
+            key: file.key,
+            size: stats.size,
+            mimetype: typeof file.mimetype === 'string' ? file.mimetype : undefined,
+            originalname: typeof file.originalname === 'string' ? file.originalname : file.key
+        }
+    };
+};
+
 module.exports = { 
     uploadToLocal, 
     deleteFromLocal, 
+    resolveUploadedFile,
     getFileUrl,
     uploadsDir,
     chatFilesDir
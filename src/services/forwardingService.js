@@ -0,0 +1,261 @@
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const ForwardRequest = require('../models/ForwardRequest');
+const { getSetting } = require('./settingsService');
+const { computeExpiresAt } = require('./retentionService');
+const { emitGroupEvent } = require('./groupEventService');
+const { sendNotification } = require('./notificationService');
+const { parseFormatting } = require('../utils/formatter');
+
+const POLICY_KEY = 'forwardingPolicy';
+const ROLES = ['admin', 'manager', 'user'];
+const ACTIONS = ['allow', 'approval', 'deny'];
+
+// Until an admin configures rules, forwards into groups the sender is not part of need approval
+const DEFAULT_POLICY = { defaultAction: 'approval', rules: [] };
+
+/**
+ * Validate a forwarding policy payload.
+ * Rules look like { fromRole, targetRegion, action } where fromRole and targetRegion may be '*'.
+ * The first rule matching the sender's role and the target group's region decides.
+ */
+const validateForwardingPolicy = ({ defaultAction = 'approval', rules = [] } = {}) => {
+    if (!ACTIONS.includes(defaultAction)) {
+        return { error: `defaultAction must be one of: ${ACTIONS.join(', ')}` };
+    }
+    if (!Array.isArray(rules)) {
+        return { error: 'rules must be an array' };
+    }
+
+    const cleaned = [];
+    for (const rule of rules) {
+        const validRole = rule && (rule.fromRole === '*' || ROLES.includes(rule.fromRole));
+        const validRegion = rule && typeof rule.targetRegion === 'string' && rule.targetRegion.trim();
+        if (!validRole || !validRegion || !ACTIONS.includes(rule.action)) {
+            return {
+                error: `Each rule needs fromRole (one of: *, ${ROLES.join(', ')}), targetRegion and action (one of: ${ACTIONS.join(', ')})`
+            };
+        }
+        cleaned.push({ fromRole: rule.fromRole, targetRegion: rule.targetRegion.trim(), action: rule.action });
+    }
+
+    return { policy: { defaultAction, rules: cleaned } };
+};
+
+const getForwardingPolicy = () => getSetting(POLICY_KEY, DEFAULT_POLICY);
+
+const isMemberOf = (group, userId) =>
+    group.users.some(id => id.toString() === userId.toString()) ||
+    group.managers.some(id => id.toString() === userId.toString());
+
+/**
+ * Decide what happens to a forward from `sender` into `group`: 'allow', 'approval' or 'deny'.
+ * Admins and members of the target group (who could post there anyway) are always allowed.
+ */
+const decideForward = (policy, sender, group) => {
+    if (sender.role === 'admin' || isMemberOf(group, sender._id)) return 'allow';
+
+    const region = (group.region || '').toLowerCase();
+    const rule = (policy.rules || []).find(candidate =>
+        (candidate.fromRole === '*' || candidate.fromRole === sender.role) &&
+        (candidate.targetRegion === '*' || candidate.targetRegion.toLowerCase() === region)
+    );
+
+    return rule ? rule.action : (policy.defaultAction || 'approval');
+};
+
+/**
+ * Split forward targets by what the policy allows. Direct conversations are never targets.
+ */
+const partitionForwardTargets = async (sender, groups) => {
+    const policy = await getForwardingPolicy();
+    const result = { allowed: [], needsApproval: [], denied: [] };
+
+    for (const group of groups) {
+        if (group.type === 'direct') continue;
+        const action = decideForward(policy, sender, group);
+        if (action === 'allow') result.allowed.push(group);
+        else if (action === 'approval') result.needsApproval.push(group);
+        else result.denied.push(group);
+    }
+
+    return result;
+};
+
+/**
+ * Post an approved forward into its target group and broadcast it
+ */
+const publishForwardedCopy = async (io, { original, targetGroup, senderId, text }) => {
+    const copy = await Message.create({
+        senderId,
+        groupId: targetGroup._id,
+        text,
+        formatted: parseFormatting(text),
+        file: original.file,
+        tags: original.tags,
+        forwardedFrom: original._id,
+        expiresAt: computeExpiresAt(targetGroup).expiresAt
+    });
+
+    await Message.updateOne({ _id: original._id }, { $addToSet: { forwardedToGroups: targetGroup._id } });
+
+    const populated = await Message.findById(copy._id)
+        .populate('senderId', 'username email')
+        .populate('groupId', 'name region')
+        .lean();
+
+    await emitGroupEvent(io, targetGroup._id, 'message:new', {
+        ...populated,
+        isForwarded: true,
+        originalGroup: { _id: original.groupId }
+    });
+
+    return populated;
+};
+
+/**
+ * Queue forwards that need approval and tell the target groups' managers.
+ * A forward that is already waiting for the same group is not queued twice.
+ */
+const requestForwardApprovals = async (io, { sender, original, groups, text }) => {
+    const requests = [];
+
+    for (const group of groups) {
+        let request;
+        try {
+            request = await ForwardRequest.create({
+                messageId: original._id,
+                sourceGroupId: original.groupId,
+                targetGroupId: group._id,
+                requestedBy: sender._id,
+                text
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            continue;
+        }
+        requests.push(request);
+
+        const notification = {
+            type: 'forward_request',
+            title: `${sender.username} wants to forward a message to ${group.name}`,
+            message: text || 'Sent a file',
+            requestId: request._id,
+            groupId: group._id,
+            groupName: group.name,
+            senderId: sender._id,
+            senderUsername: sender.username,
+            createdAt: new Date()
+        };
+
+        for (const managerId of group.managers) {
+            sendNotification(managerId, notification).catch(error => {
+                console.error(`Error sending forward request notification to ${managerId}:`, error);
+            });
+            io?.to(`user:${managerId}`).emit('forward:requested', { request, notification });
+        }
+    }
+
+    return requests;
+};
+
+/**
+ * Approve or reject a pending forward. Only the target group's managers and admins may review.
+ * Returns { error, status } or { request, message }.
+ */
+const reviewForwardRequest = async (io, { requestId, reviewer, approve, reason }) => {
+    const request = await ForwardRequest.findById(requestId).lean();
+    if (!request) {
+        return { error: 'Forward request not found', status: 404 };
+    }
+
+    const targetGroup = await Group.findById(request.targetGroupId, {
+        name: 1, region: 1, managers: 1, retention: 1
+    }).lean();
+    const isManager = targetGroup?.managers.some(id => id.toString() === reviewer._id.toString());
+    if (reviewer.role !== 'admin' && !isManager) {
+        return { error: 'Only the target group\'s managers and admins can review this forward', status: 403 };
+    }
+
+    if (request.status !== 'pending') {
+        return { error: `This forward has already been ${request.status}`, status: 409 };
+    }
+
+    const original = approve
+        ? await Message.findById(request.messageId, { groupId: 1, file: 1, tags: 1, deleted: 1 }).lean()
+        : null;
+    const originalGone = approve && (!original || original.deleted?.isDeleted || !targetGroup);
+
+    const status = originalGone ? 'cancelled' : approve ? 'approved' : 'rejected';
+    const reviewed = await ForwardRequest.findOneAndUpdate(
+        { _id: request._id, status: 'pending' },
+        {
+            $set: {
+                status,
+                reviewedBy: reviewer._id,
+                reviewedAt: new Date(),
+                reason: originalGone ? 'The original message no longer exists' : (reason || undefined)
+            }
+        },
+        { new: true }
+    ).lean();
+
+    // Someone else reviewed it in the meantime
+    if (!reviewed) {
+        return { error: 'This forward has already been reviewed', status: 409 };
+    }
+
+    if (originalGone) {
+        return { error: 'The original message no longer exists', status: 410 };
+    }
+
+    let message = null;
+    if (approve) {
+        try {
+            message = await publishForwardedCopy(io, {
+                original,
+                targetGroup,
+                senderId: request.requestedBy,
+                text: request.text
+            });
+        } catch (error) {
+            // Nothing was posted, so the forward goes back into the queue to be reviewed again
+            await ForwardRequest.updateOne(
+                { _id: request._id, status: 'approved' },
+                { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1, reason: 1 } }
+            );
+            throw error;
+        }
+        await ForwardRequest.updateOne({ _id: request._id }, { $set: { forwardedMessageId: message._id } });
+        reviewed.forwardedMessageId = message._id;
+    }
+
+    const notification = {
+        type: 'forward_reviewed',
+        title: approve
+            ? `Your forward to ${targetGroup?.name} was approved`
+            : `Your forward to ${targetGroup?.name} was rejected`,
+        message: reviewed.reason || request.text || '',
+        requestId: request._id,
+        groupId: request.targetGroupId,
+        groupName: targetGroup?.name,
+        status,
+        createdAt: new Date()
+    };
+    sendNotification(request.requestedBy, notification).catch(error => {
+        console.error('Error sending forward review notification:', error);
+    });
+    io?.to(`user:${request.requestedBy}`).emit('forward:reviewed', { request: reviewed, notification });
+
+    return { request: reviewed, message };
+};
+
+module.exports = {
+    POLICY_KEY,
+    validateForwardingPolicy,
+    getForwardingPolicy,
+    partitionForwardTargets,
+    publishForwardedCopy,
+    requestForwardApprovals,
+    reviewForwardRequest
+};
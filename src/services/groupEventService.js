@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const GroupEvent = require('../models/GroupEvent');
+
+const MAX_SYNC_EVENTS = 500;
+
+// The message an event payload is (message:new, message:edited), wraps (thread:reply, message:pinned)
+// or is about (reactions, polls)
+const referencedMessageIds = (payload) => {
+    const ids = [payload?._id, payload?.message?._id, payload?.messageId]
+        .filter(id => id && mongoose.isValidObjectId(id))
+        .map(id => id.toString());
+    return [...new Set(ids)];
+};
+
+/**
+ * Broadcast an event to a group room with the group's next sequence number,
+ * and log it so clients that were offline can replay it later.
+ * Clients that see a gap in `seq` should resync from the last one they handled.
+ */
+const emitGroupEvent = async (io, groupId, event, payload) => {
+    let seq = null;
+
+    try {
+        const group = await Group.findByIdAndUpdate(
+            groupId,
+            { $inc: { eventSeq: 1 } },
+            { new: true, projection: { eventSeq: 1 } }
+        ).lean();
+
+        if (group) {
+            seq = group.eventSeq;
+            await GroupEvent.create({ groupId: group._id, seq, event, payload, messageIds: referencedMessageIds(payload) });
+        }
+    } catch (error) {
+        // Still deliver the live event; clients pick up the gap on their next resync
+        console.error(`Error logging group event ${event}:`, error);
+    }
+
+    io?.to(`group:${groupId}`).emit(event, { ...payload, ...(seq !== null && { seq }) });
+    return seq;
+};
+
+// Events after the join can still carry older messages (an edit, a pin); those keep their place in
+// the sequence but lose the content the caller could not load with getMessages
+const redactBeforeJoin = (entry, joinedAt) => {
+    const message = entry.payload?.message || entry.payload;
+    if (!message?.createdAt || new Date(message.createdAt) >= new Date(joinedAt)) return entry;
+    return {
+        ...entry,
+        payload: { groupId: entry.payload.groupId?._id || entry.payload.groupId, messageId: message._id, redacted: true }
+    };
+};
+
+/**
+ * Strip the payloads of logged events carrying deleted or expired messages, so replays cannot bring
+ * their content back. The events keep their place in the sequence (like redactBeforeJoin), so a sync
+ * across them does not turn into a reset; clients get { groupId, messageId, deleted: true } instead.
+ */
+const redactMessageEvents = async (messageIds) => {
+    if (!messageIds?.length) return 0;
+    const ids = messageIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+    const result = await GroupEvent.updateMany(
+        { messageIds: { $in: ids }, 'payload.deleted': { $ne: true } },
+        [{
+            $set: {
+                payload: {
+                    groupId: '$groupId',
+                    messageId: { $arrayElemAt: [{ $setIntersection: ['$messageIds', ids] }, 0] },
+                    deleted: true
+                }
+            }
+        }]
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Events of a group after the given sequence number, oldest first.
+ * When events the client needs have already expired from the log, `reset` is true
+ * and the client should reload the group with getMessages instead.
+ * With `joinedAt`, nothing from before the caller joined is replayed, as in getMessages.
+ */
+const getEventsSince = async (groupId, since = 0, limit = MAX_SYNC_EVENTS, { joinedAt } = {}) => {
+    let after = Math.max(parseInt(since) || 0, 0);
+    const pageSize = Math.min(Math.max(parseInt(limit) || MAX_SYNC_EVENTS, 1), MAX_SYNC_EVENTS);
+
+    const group = await Group.findById(groupId, { eventSeq: 1 }).lean();
+    const latestSeq = group?.eventSeq || 0;
+
+    if (joinedAt && after < latestSeq) {
+        // Start after the last event logged before the join; if the log no longer reaches back that
+        // far, the gap check below turns this into a reset
+        const lastBeforeJoin = await GroupEvent.findOne(
+            { groupId, createdAt: { $lt: joinedAt } },
+            { seq: 1 }
+        ).sort({ seq: -1 }).lean();
+        if (lastBeforeJoin) after = Math.max(after, lastBeforeJoin.seq);
+    }
+
+    if (after >= latestSeq) {
+        return { events: [], latestSeq, hasMore: false, reset: false };
+    }
+
+    const events = await GroupEvent.find(
+        { groupId, seq: { $gt: after } },
+        { _id: 0, seq: 1, event: 1, payload: 1, createdAt: 1 }
+    )
+        .sort({ seq: 1 })
+        .limit(pageSize)
+        .lean();
+
+    // Missing events were pruned from the log (or never logged), so replaying would leave holes
+    if (events.length === 0 || events.some((entry, index) => entry.seq !== after + 1 + index)) {
+        return { events: [], latestSeq, hasMore: false, reset: true };
+    }
+
+    return {
+        events: joinedAt ? events.map(entry => redactBeforeJoin(entry, joinedAt)) : events,
+        latestSeq,
+        hasMore: events[events.length - 1].seq < latestSeq,
+        reset: false
+    };
+};
+
+module.exports = { emitGroupEvent, getEventsSince, redactMessageEvents };
@@ -0,0 +1,398 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { extractTags } = require('../utils/parser');
+const { parseFormatting } = require('../utils/formatter');
+const { resolveMentions } = require('./mentionService');
+const { chatFilesDir, getFileUrl } = require('./fileStorageService');
+
+/*
+ * Chat history import.
+ *
+ * Input is either a JSON document or NDJSON (one message object per line).
+ * The JSON document is { "source": "...", "groupId": "...", "messages": [ ... ] } or a bare array of messages;
+ * for NDJSON, source and the default group are given alongside the file.
+ *
+ * Each message:
+ *   id           (required) the message's id in the source system, unique within `source`
+ *   senderEmail  (required) matched case-insensitively against existing users
+ *   createdAt    (required) ISO 8601 date or epoch milliseconds; kept as the message's timestamp
+ *   groupId      target group, defaults to the import's groupId
+ *   text         up to 1000 characters
+ *   editedAt     when the message was last edited, if it was
+ *   parentId     the source id of the thread root this message replies to
+ *   attachment   { "file": "path/or/key", "name": "report.pdf", "mimetype": "application/pdf" }
+ *
+ * Messages are keyed by (source, id), so running the same import again only adds what is missing.
+ * Imports never notify anyone or broadcast events: this is history, not new activity.
+ */
+
+const BATCH_SIZE = 500;
+const MAX_TEXT_LENGTH = 1000;
+const MAX_REPORTED_ITEMS = 1000;
+const SOURCE_PATTERN = /^[a-z0-9][a-z0-9._-]{0,63}$/i;
+
+const parseDate = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const date = new Date(typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value);
+    return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Parse NDJSON lines (any iterable or async iterable of strings).
+ * Yields one object per non-empty line, or an Error for a line that is not valid JSON.
+ */
+async function* parseNdjson(lines) {
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        try {
+            yield JSON.parse(line);
+        } catch (error) {
+            yield new Error(`Line ${lineNumber}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Read a parsed JSON import document: { source, groupId, messages } or a bare array of messages.
+ * Values in the document fill in whatever the caller did not pass.
+ */
+const readImportDocument = (document, { source, groupId } = {}) => {
+    if (Array.isArray(document)) {
+        return { records: document, source, groupId };
+    }
+    if (document && Array.isArray(document.messages)) {
+        return {
+            records: document.messages,
+            source: source || document.source,
+            groupId: groupId || document.groupId
+        };
+    }
+    return { error: 'Expected an array of messages or an object with a messages array', status: 400 };
+};
+
+/**
+ * Check a record's shape. Returns { error } or { record } with the fields normalized.
+ */
+const normalizeRecord = (raw, defaultGroupId) => {
+    if (raw instanceof Error) return { error: raw.message };
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Record must be an object' };
+
+    const externalId = raw.id === undefined || raw.id === null ? '' : String(raw.id).trim();
+    if (!externalId) return { error: 'id is required' };
+
+    const senderEmail = typeof raw.senderEmail === 'string' ? raw.senderEmail.trim() : '';
+    if (!senderEmail) return { error: 'senderEmail is required', externalId };
+
+    const createdAt = parseDate(raw.createdAt);
+    if (!createdAt) return { error: 'createdAt must be a valid date', externalId };
+
+    const groupId = raw.groupId || defaultGroupId;
+    if (!groupId || !mongoose.isValidObjectId(groupId)) return { error: 'A valid groupId is required', externalId };
+
+    const text = typeof raw.text === 'string' ? raw.text : '';
+    if (text.length > MAX_TEXT_LENGTH) return { error: `text exceeds ${MAX_TEXT_LENGTH} characters`, externalId };
+
+    const attachment = raw.attachment && typeof raw.attachment.file === 'string' && raw.attachment.file.trim()
+        ? raw.attachment
+        : null;
+    if (!text.trim() && !attachment) return { error: 'A message needs text or an attachment', externalId };
+
+    const editedAt = parseDate(raw.editedAt);
+    const parentId = raw.parentId === undefined || raw.parentId === null ? null : String(raw.parentId).trim() || null;
+
+    return {
+        record: {
+            externalId,
+            senderEmail: senderEmail.toLowerCase(),
+            createdAt,
+            groupId: String(groupId),
+            text,
+            editedAt,
+            parentId: parentId === externalId ? null : parentId,
+            attachment
+        }
+    };
+};
+
+/**
+ * Find an attachment's file and make sure it is in the chat files directory.
+ * With `filesDir` (CLI imports) the file is copied from there under a name derived from the record,
+ * so resuming an import reuses the copy. Without it the file must already be in uploads/chat-files.
+ * Returns the message's `file` field, or null if the file cannot be found.
+ */
+const resolveAttachment = (attachment, { source, externalId, filesDir, dryRun }) => {
+    const reference = attachment.file.trim();
+    const originalname = (typeof attachment.name === 'string' && attachment.name.trim()) || path.basename(reference);
+    const mimetype = (typeof attachment.mimetype === 'string' && attachment.mimetype.trim()) || 'application/octet-stream';
+
+    let sourcePath;
+    let key;
+    if (filesDir) {
+        const root = path.resolve(filesDir);
+        sourcePath = path.resolve(root, reference);
+        // Never read outside the directory the import was pointed at
+        if (!sourcePath.startsWith(root + path.sep)) return null;
+        const digest = crypto.createHash('sha1').update(`${source}:${externalId}`).digest('hex').slice(0, 16);
+        key = `import-${digest}-${path.basename(reference).replace(/[^\w.-]/g, '_')}`;
+    } else {
+        key = path.basename(reference);
+        sourcePath = path.join(chatFilesDir, key);
+    }
+
+    if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) return null;
+
+    const targetPath = path.join(chatFilesDir, key);
+    if (!dryRun && sourcePath !== targetPath && !fs.existsSync(targetPath)) {
+        fs.copyFileSync(sourcePath, targetPath);
+    }
+
+    return {
+        url: getFileUrl(key),
+        key,
+        size: fs.statSync(sourcePath).size,
+        mimetype,
+        originalname
+    };
+};
+
+/**
+ * Set replyCount/lastReplyAt on thread roots from their replies.
+ * Recomputed rather than incremented so a resumed import cannot double count.
+ */
+const recountReplies = async (parentIds) => {
+    const ids = [...parentIds].map(id => new mongoose.Types.ObjectId(id));
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        const chunk = ids.slice(i, i + BATCH_SIZE);
+        const counts = await Message.aggregate([
+            { $match: { parentId: { $in: chunk }, 'deleted.isDeleted': { $ne: true } } },
+            { $group: { _id: '$parentId', replyCount: { $sum: 1 }, lastReplyAt: { $max: '$createdAt' } } }
+        ]);
+        if (counts.length === 0) continue;
+
+        await Message.bulkWrite(counts.map(({ _id, replyCount, lastReplyAt }) => ({
+            updateOne: {
+                filter: { _id },
+                update: { $set: { replyCount, lastReplyAt } },
+                timestamps: false
+            }
+        })));
+    }
+};
+
+/**
+ * Import a stream of message records (any iterable or async iterable, e.g. from parseNdjson).
+ * Options: source (required, namespaces the record ids), groupId (default group), filesDir, dryRun.
+ * Returns { error, status } or a report of what was imported and what could not be matched.
+ */
+const importMessages = async (records, { source, groupId, filesDir, dryRun = false } = {}) => {
+    if (typeof source !== 'string' || !SOURCE_PATTERN.test(source)) {
+        return { error: 'source is required (letters, numbers, ".", "_" and "-", up to 64 characters)', status: 400 };
+    }
+    if (groupId && !mongoose.isValidObjectId(groupId)) {
+        return { error: 'Invalid group ID', status: 400 };
+    }
+
+    const report = {
+        source,
+        dryRun,
+        total: 0,
+        imported: 0,
+        alreadyImported: 0,
+        failed: 0,
+        unmatchedUsers: [],
+        unmatchedAttachments: [],
+        unresolvedThreads: [],
+        errors: []
+    };
+    const unmatchedUsers = new Map();
+    const usersByEmail = new Map();
+    const groups = new Map();
+    const touchedParents = new Set();
+
+    // Report lists are capped so a badly broken file cannot produce an unbounded response
+    const note = (list, item) => {
+        if (list.length < MAX_REPORTED_ITEMS) list.push(item);
+    };
+
+    const fail = (recordNumber, externalId, error) => {
+        report.failed++;
+        note(report.errors, { record: recordNumber, ...(externalId && { id: externalId }), error });
+    };
+
+    const loadUsers = async (emails) => {
+        const missing = [...new Set(emails)].filter(email => !usersByEmail.has(email));
+        if (missing.length === 0) return;
+        const users = await User.find({ email: { $in: missing } }, { email: 1 })
+            .collation({ locale: 'en', strength: 2 })
+            .lean();
+        for (const email of missing) usersByEmail.set(email, null);
+        for (const user of users) usersByEmail.set(user.email.toLowerCase(), user._id);
+    };
+
+    const loadGroups = async (ids) => {
+        const missing = [...new Set(ids)].filter(id => !groups.has(id));
+        if (missing.length === 0) return;
+        const found = await Group.find({ _id: { $in: missing } }, { users: 1, managers: 1, retention: 1 }).lean();
+        for (const id of missing) groups.set(id, null);
+        for (const group of found) groups.set(group._id.toString(), group);
+    };
+
+    const processBatch = async (batch) => {
+        await loadUsers(batch.map(({ record }) => record.senderEmail));
+        await loadGroups(batch.map(({ record }) => record.groupId));
+
+        // Which records are already in, and what the rest will be called
+        const existing = await Message.find({
+            'importRef.source': source,
+            'importRef.externalId': { $in: batch.map(({ record }) => record.externalId) }
+        }, { 'importRef.externalId': 1, parentId: 1 }).lean();
+        const knownIds = new Map(existing.map(message => [message.importRef.externalId, message]));
+
+        const pending = [];
+        for (const item of batch) {
+            const { record, recordNumber } = item;
+            if (knownIds.has(record.externalId)) {
+                report.alreadyImported++;
+                continue;
+            }
+
+            const senderId = usersByEmail.get(record.senderEmail);
+            if (!senderId) {
+                report.failed++;
+                unmatchedUsers.set(record.senderEmail, (unmatchedUsers.get(record.senderEmail) || 0) + 1);
+                continue;
+            }
+
+            const group = groups.get(record.groupId);
+            if (!group) {
+                fail(recordNumber, record.externalId, 'Group not found');
+                continue;
+            }
+
+            let file;
+            if (record.attachment) {
+                file = resolveAttachment(record.attachment, { source, externalId: record.externalId, filesDir, dryRun });
+                if (!file) {
+                    note(report.unmatchedAttachments, { id: record.externalId, file: record.attachment.file });
+                    if (!record.text.trim()) {
+                        // Nothing left to import; a later run can pick it up once the file is provided
+                        report.failed++;
+                        continue;
+                    }
+                }
+            }
+
+            const _id = new mongoose.Types.ObjectId();
+            // Later records in the same batch can reply to this one
+            knownIds.set(record.externalId, { _id, parentId: null });
+            pending.push({ ...item, senderId, group, file, _id });
+        }
+
+        // Thread roots from earlier batches (or earlier runs)
+        const missingParents = [...new Set(pending
+            .map(({ record }) => record.parentId)
+            .filter(parentId => parentId && !knownIds.has(parentId)))];
+        if (missingParents.length > 0) {
+            const parents = await Message.find({
+                'importRef.source': source,
+                'importRef.externalId': { $in: missingParents }
+            }, { 'importRef.externalId': 1, parentId: 1 }).lean();
+            for (const parent of parents) knownIds.set(parent.importRef.externalId, parent);
+        }
+
+        const operations = [];
+        for (const { record, senderId, group, file, _id } of pending) {
+            let parentId = null;
+            if (record.parentId) {
+                const parent = knownIds.get(record.parentId);
+                if (parent) {
+                    // Threads are one level deep: a reply to a reply belongs to the same root
+                    parentId = parent.parentId || parent._id;
+                } else {
+                    note(report.unresolvedThreads, { id: record.externalId, parentId: record.parentId });
+                }
+            }
+
+            const { mentions, mentionsGroup } = await resolveMentions(record.text, group);
+            const ttlSeconds = group.retention?.mode === 'disappearing' ? group.retention.ttlSeconds : null;
+
+            const message = {
+                _id,
+                senderId,
+                groupId: group._id,
+                text: record.text,
+                ...(record.text.trim() && { formatted: parseFormatting(record.text) }),
+                ...(file && { file }),
+                tags: extractTags(record.text),
+                mentions,
+                ...(mentionsGroup && { mentionsGroup }),
+                parentId,
+                importRef: { source, externalId: record.externalId },
+                ...(record.editedAt && { edited: { isEdited: true, editedAt: record.editedAt } }),
+                ...(ttlSeconds && { expiresAt: new Date(record.createdAt.getTime() + ttlSeconds * 1000) }),
+                createdAt: record.createdAt,
+                updatedAt: record.editedAt || record.createdAt
+            };
+
+            if (parentId) touchedParents.add(parentId.toString());
+            operations.push({
+                updateOne: {
+                    filter: { 'importRef.source': source, 'importRef.externalId': record.externalId },
+                    update: { $setOnInsert: message },
+                    upsert: true,
+                    timestamps: false
+                }
+            });
+        }
+
+        if (operations.length === 0) return;
+
+        if (dryRun) {
+            report.imported += operations.length;
+            return;
+        }
+
+        const result = await Message.bulkWrite(operations, { ordered: false });
+        report.imported += result.upsertedCount;
+        // Matched without inserting: another run imported them in the meantime
+        report.alreadyImported += operations.length - result.upsertedCount;
+    };
+
+    let batch = [];
+    for await (const raw of records) {
+        report.total++;
+        const { record, error, externalId } = normalizeRecord(raw, groupId);
+        if (error) {
+            fail(report.total, externalId, error);
+            continue;
+        }
+
+        batch.push({ record, recordNumber: report.total });
+        if (batch.length >= BATCH_SIZE) {
+            await processBatch(batch);
+            batch = [];
+        }
+    }
+    if (batch.length > 0) await processBatch(batch);
+
+    if (!dryRun && touchedParents.size > 0) {
+        await recountReplies(touchedParents);
+    }
+
+    report.unmatchedUsers = [...unmatchedUsers].map(([email, messages]) => ({ email, messages }));
+    return report;
+};
+
+module.exports = {
+    parseNdjson,
+    readImportDocument,
+    importMessages
+};
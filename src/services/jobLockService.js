@@ -0,0 +1,41 @@
+const os = require('os');
+const crypto = require('crypto');
+const JobLock = require('../models/JobLock');
+
+// Unique per process so leases taken by other instances can be told apart
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Try to take (or extend) the named lease for this instance.
+ * Resolves to true when this instance now holds the lease.
+ */
+const acquireJobLock = async (name, ttlMs) => {
+    const now = new Date();
+    try {
+        const lock = await JobLock.findOneAndUpdate(
+            {
+                _id: name,
+                $or: [{ lockedUntil: { $lt: now } }, { lockedBy: INSTANCE_ID }]
+            },
+            { $set: { lockedBy: INSTANCE_ID, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { upsert: true, new: true }
+        ).lean();
+        return lock?.lockedBy === INSTANCE_ID;
+    } catch (error) {
+        // Upsert collided with a lease held by another instance
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+/**
+ * Give the named lease back early so another instance can pick it up
+ */
+const releaseJobLock = async (name) => {
+    await JobLock.updateOne(
+        { _id: name, lockedBy: INSTANCE_ID },
+        { $set: { lockedUntil: new Date(0) } }
+    );
+};
+
+module.exports = { INSTANCE_ID, acquireJobLock, releaseJobLock };
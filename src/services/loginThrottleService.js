@@ -0,0 +1,180 @@
+const { getRedisClient, createMockRedis } = require('../config/redis');
+const { parseDuration } = require('../utils/token');
+const { sendNotification } = require('./notificationService');
+
+const KEY_PREFIX = 'login:';
+const FIRST_FACTORS = ['password', 'pin'];
+const METHODS = [...FIRST_FACTORS, '2fa'];
+// Failures that cost nothing; after that each one doubles the wait before the next try
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 30;
+const LOCKED_MESSAGE = 'Account temporarily locked after too many failed login attempts';
+
+// Counters live in Redis so every instance sees them. Without Redis, or while it fails, they are
+// kept in memory like the rest of mock-Redis mode, so the limits never silently switch off.
+const localStore = createMockRedis();
+
+const withStore = async (operation) => {
+    const redis = getRedisClient();
+    if (redis) {
+        try {
+            return await operation(redis);
+        } catch (error) {
+            console.error('Error using Redis for login attempts, falling back to memory:', error);
+        }
+    }
+    return operation(localStore);
+};
+
+const maxAttempts = (method) => parseInt(method === 'pin'
+    ? process.env.LOGIN_PIN_MAX_ATTEMPTS || '5'
+    : process.env.LOGIN_MAX_ATTEMPTS || '10');
+const ipMaxAttempts = () => parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS || '50');
+const windowSeconds = () => Math.ceil(parseDuration(process.env.LOGIN_ATTEMPT_WINDOW || '15m', 15 * 60 * 1000) / 1000);
+const lockoutSeconds = () => Math.ceil(parseDuration(process.env.LOGIN_LOCKOUT_DURATION || '15m', 15 * 60 * 1000) / 1000);
+
+// A PIN lockout only stops PIN logins, so guessing PINs cannot lock the owner out of their password.
+// Password and 2FA failures lock the whole account, PIN logins included.
+const lockScope = (method) => (method === 'pin' ? 'pin' : 'account');
+const SCOPE_METHODS = { account: ['password', '2fa'], pin: ['pin'] };
+const blockingScopes = (method) => (method === 'pin' ? ['account', 'pin'] : ['account']);
+
+// Accounts are keyed by the email that was tried, so unknown emails are limited the same way
+const accountKey = (email) => String(email || '').trim().toLowerCase();
+const scopePrefix = (scope) => (scope === 'pin' ? 'pin:' : '');
+const failuresKey = (account, method) => `${KEY_PREFIX}failures:${method}:${account}`;
+const waitKey = (account, scope) => `${KEY_PREFIX}wait:${scopePrefix(scope)}${account}`;
+const lockKey = (account, scope) => `${KEY_PREFIX}lock:${scopePrefix(scope)}${account}`;
+const ipKey = (ip) => `${KEY_PREFIX}ip:${ip}`;
+
+// One more in a counter that expires a window after its first count
+const countUp = async (store, key, ttlSeconds) => {
+    const count = await store.incr(key);
+    if (count === 1) await store.expire(key, ttlSeconds);
+    return count;
+};
+
+const secondsLeft = async (store, key) => Math.max(1, await store.ttl(key));
+
+const lockedResult = (retryAfter) => ({ error: LOCKED_MESSAGE, status: 423, retryAfter });
+
+/**
+ * Check whether a login attempt (method 'password', 'pin' or '2fa') may go ahead, and count it.
+ * Attempts are counted before the credentials are checked, so parallel guesses cannot get past the
+ * limit; loginSucceeded() takes a successful one back.
+ * Returns null, or { error, status, retryAfter } when the attempt is refused.
+ */
+const beginLoginAttempt = (email, method, { ip } = {}) => withStore(async (store) => {
+    const account = accountKey(email);
+
+    for (const scope of blockingScopes(method)) {
+        if (await store.get(lockKey(account, scope))) {
+            return lockedResult(await secondsLeft(store, lockKey(account, scope)));
+        }
+        if (await store.get(waitKey(account, scope))) {
+            const retryAfter = await secondsLeft(store, waitKey(account, scope));
+            return { error: `Too many failed login attempts, try again in ${retryAfter} seconds`, status: 429, retryAfter };
+        }
+    }
+
+    if (ip && await countUp(store, ipKey(ip), windowSeconds()) > ipMaxAttempts()) {
+        return {
+            error: 'Too many failed login attempts from this address',
+            status: 429,
+            retryAfter: await secondsLeft(store, ipKey(ip))
+        };
+    }
+    // Attempts that raced the one which locked the account
+    if (await countUp(store, failuresKey(account, method), windowSeconds()) > maxAttempts(method)) {
+        return lockedResult(lockoutSeconds());
+    }
+
+    return null;
+});
+
+const notifyLocked = (io, userId, { method, ip, lockedUntil }) => {
+    const factor = { password: 'password', pin: 'PIN', '2fa': 'two-factor code' }[method];
+    const until = lockedUntil.toISOString();
+    const notification = {
+        type: 'account_locked',
+        title: method === 'pin' ? 'PIN login was temporarily locked' : 'Your account was temporarily locked',
+        message: method === 'pin'
+            ? `Too many wrong PIN attempts. You can use your PIN again after ${until}; logging in with your password still works.`
+            : `Too many wrong ${factor} attempts. You can log in again after ${until}, or ask an admin to unlock your account.`,
+        method,
+        ...(ip && { ip }),
+        lockedUntil,
+        createdAt: new Date()
+    };
+    sendNotification(userId, notification).catch(error => {
+        console.error('Error sending account lock notification:', error);
+    });
+    io?.to(`user:${userId}`).emit('notification:new', notification);
+};
+
+/**
+ * Record that a counted attempt failed. Past the free attempts the account has to wait before the
+ * next try (1s, 2s, 4s ... up to 30s); at the limit it is locked and its owner is notified.
+ * PIN failures only delay and lock PIN logins.
+ * Returns null, or { error, status, retryAfter } once the account is locked.
+ */
+const loginFailed = (email, method, { userId, ip, io } = {}) => withStore(async (store) => {
+    const account = accountKey(email);
+    const scope = lockScope(method);
+    const failures = parseInt(await store.get(failuresKey(account, method)) || '0');
+
+    if (failures >= maxAttempts(method)) {
+        // Only the attempt that creates the lock sets its expiry and notifies
+        if (await store.incr(lockKey(account, scope)) === 1) {
+            const ttl = lockoutSeconds();
+            await store.expire(lockKey(account, scope), ttl);
+            await store.del([...SCOPE_METHODS[scope].map(name => failuresKey(account, name)), waitKey(account, scope)]);
+            console.warn(`⚠️ ${scope === 'pin' ? 'PIN login' : 'Login'} locked for ${account} after ${failures} failed ${method} attempts${ip ? ` (last from ${ip})` : ''}`);
+            if (userId) notifyLocked(io, userId, { method, ip, lockedUntil: new Date(Date.now() + ttl * 1000) });
+        }
+        return lockedResult(await secondsLeft(store, lockKey(account, scope)));
+    }
+
+    if (failures > FREE_ATTEMPTS) {
+        const delay = Math.min(2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_SECONDS);
+        await store.setEx(waitKey(account, scope), delay, '1');
+    }
+    return null;
+});
+
+/**
+ * Record that a counted attempt succeeded. A first factor clears the password and PIN failures;
+ * 2FA failures are only cleared by a correct code, so logging in again does not reset them.
+ */
+const loginSucceeded = (email, method, { ip } = {}) => withStore(async (store) => {
+    const account = accountKey(email);
+    const cleared = method === '2fa' ? ['2fa'] : FIRST_FACTORS;
+    const waits = [...new Set(cleared.map(lockScope))].map(scope => waitKey(account, scope));
+    await store.del([...cleared.map(name => failuresKey(account, name)), ...waits]);
+
+    if (ip && parseInt(await store.get(ipKey(ip)) || '0') > 0) {
+        await store.decr(ipKey(ip));
+    }
+});
+
+/**
+ * Lift a lockout (of the account or of its PIN logins) and forget the account's failed attempts.
+ * Returns true if either was locked.
+ */
+const unlockAccount = (email) => withStore(async (store) => {
+    const account = accountKey(email);
+    const scopes = Object.keys(SCOPE_METHODS);
+    const locks = await Promise.all(scopes.map(scope => store.get(lockKey(account, scope))));
+    await store.del([
+        ...scopes.flatMap(scope => [lockKey(account, scope), waitKey(account, scope)]),
+        ...METHODS.map(name => failuresKey(account, name))
+    ]);
+    return locks.some(Boolean);
+});
+
+module.exports = {
+    beginLoginAttempt,
+    loginFailed,
+    loginSucceeded,
+    unlockAccount
+};
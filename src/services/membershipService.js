@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Group = require('../models/Group');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+/**
+ * Record that a user belongs to a group. Adding an existing membership only updates its role.
+ * The user's primary group (User.groupId) is only set when they have none yet
+ * and the group can be one (direct conversations pass setPrimary: false).
+ * Without `joinedAt` the member sees the group's whole history; only paths that hide earlier
+ * messages (an admin adding a user) pass one.
+ */
+const addMembership = async (userId, groupId, { role = 'member', joinedAt = null, setPrimary = true } = {}) => {
+    const groupObjectId = toObjectId(groupId);
+
+    const added = await User.updateOne(
+        { _id: userId, 'memberships.groupId': { $ne: groupObjectId } },
+        { $push: { memberships: { groupId: groupObjectId, role, joinedAt } } }
+    );
+
+    if (added.modifiedCount === 0 && role === 'manager') {
+        await setMembershipRole(userId, groupId, role);
+    }
+
+    if (setPrimary) {
+        await User.updateOne({ _id: userId, groupId: null }, { $set: { groupId: groupObjectId } });
+    }
+};
+
+/**
+ * Remove a user's membership. If it was their primary group, fall back to another one.
+ */
+const removeMembership = async (userId, groupId) => {
+    const groupObjectId = toObjectId(groupId);
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $pull: { memberships: { groupId: groupObjectId } } },
+        { new: true, projection: { groupId: 1, memberships: 1 } }
+    );
+
+    if (user && user.groupId?.equals(groupObjectId)) {
+        const fallback = await Group.exists({
+            _id: { $in: user.memberships.map(membership => membership.groupId) },
+            type: { $ne: 'direct' }
+        });
+        user.groupId = fallback?._id || null;
+        await user.save();
+    }
+
+    return user;
+};
+
+const setMembershipRole = (userId, groupId, role) =>
+    User.updateOne(
+        { _id: userId, 'memberships.groupId': toObjectId(groupId) },
+        { $set: { 'memberships.$.role': role } }
+    );
+
+/**
+ * Look up a user's membership of one group.
+ * Users from before multi-group membership only have groupId/groupJoinedAt, which is used as a fallback.
+ */
+const getMembership = async (userId, groupId) => {
+    const groupObjectId = toObjectId(groupId);
+    const user = await User.findById(userId, {
+        groupId: 1,
+        groupJoinedAt: 1,
+        memberships: { $elemMatch: { groupId: groupObjectId } }
+    }).lean();
+
+    if (!user) return null;
+    if (user.memberships?.length) return user.memberships[0];
+    if (user.groupId?.equals(groupObjectId)) {
+        return { groupId: groupObjectId, role: 'member', joinedAt: user.groupJoinedAt || null };
+    }
+    return null;
+};
+
+/**
+ * True when the user still manages at least one group, either as a manager membership
+ * or (for managers from before memberships) in a group's managers list
+ */
+const managesAnyGroup = async (userId) =>
+    !!(await User.exists({ _id: userId, memberships: { $elemMatch: { role: 'manager' } } })) ||
+    !!(await Group.exists({ managers: userId }));
+
+module.exports = {
+    addMembership,
+    removeMembership,
+    setMembershipRole,
+    getMembership,
+    managesAnyGroup
+};
@@ -0,0 +1,100 @@
+const User = require('../models/User');
+const { extractMentions } = require('../utils/parser');
+const { sendNotification } = require('./notificationService');
+
+const groupMemberIds = (group) =>
+    [...(group.users || []), ...(group.managers || [])].map(member => (member._id || member).toString());
+
+/**
+ * Resolve the @username, @here and @all mentions in a message to group members.
+ * Usernames match case-insensitively; people outside the group are ignored.
+ * Returns { mentions, mentionsGroup } to store on the message.
+ */
+const resolveMentions = async (text, group) => {
+    const { usernames, here, all } = extractMentions(text);
+    const mentionsGroup = all ? 'all' : here ? 'here' : undefined;
+
+    if (usernames.length === 0 || !group) {
+        return { mentions: [], mentionsGroup };
+    }
+
+    const memberIds = new Set(groupMemberIds(group));
+    const users = await User.find({ username: { $in: usernames } }, { _id: 1 })
+        .collation({ locale: 'en', strength: 2 })
+        .lean();
+
+    return {
+        mentions: users.map(user => user._id).filter(id => memberIds.has(id.toString())),
+        mentionsGroup
+    };
+};
+
+/**
+ * Work out who a message's mentions notify: the mentioned users, every member for @all,
+ * or the members currently online for @here. The sender is never notified.
+ */
+const getMentionRecipients = async (message, group) => {
+    const senderId = (message.senderId?._id || message.senderId).toString();
+    const recipients = new Map();
+
+    for (const userId of message.mentions || []) {
+        recipients.set(userId.toString(), 'user');
+    }
+
+    if (message.mentionsGroup && group) {
+        let memberIds = groupMemberIds(group);
+        if (message.mentionsGroup === 'here') {
+            const online = await User.find({ _id: { $in: memberIds }, isOnline: true }, { _id: 1 }).lean();
+            memberIds = online.map(user => user._id.toString());
+        }
+        for (const memberId of memberIds) {
+            if (!recipients.has(memberId)) recipients.set(memberId, message.mentionsGroup);
+        }
+    }
+
+    recipients.delete(senderId);
+    return recipients;
+};
+
+/**
+ * Send high-priority `mention` notifications for a message.
+ * `onlyUserIds` limits the notifications to some users (e.g. the ones added by an edit).
+ * Returns the ids of the notified users so callers can skip their regular message notification.
+ */
+const notifyMentions = async ({ io, message, group, sender, onlyUserIds = null }) => {
+    const recipients = await getMentionRecipients(message, group);
+    const notified = [];
+
+    for (const [userId, mentionType] of recipients) {
+        if (onlyUserIds && !onlyUserIds.has(userId)) continue;
+
+        const isDirect = group?.type === 'direct';
+        const notification = {
+            type: 'mention',
+            priority: 'high',
+            mentionType,
+            title: mentionType === 'user'
+                ? `${sender.username} mentioned you`
+                : `${sender.username} mentioned @${mentionType}`,
+            message: message.text || 'Sent a file',
+            messageId: message._id,
+            groupId: group?._id || message.groupId,
+            groupName: isDirect ? sender.username : group?.name,
+            ...(isDirect && { isDirect: true }),
+            senderId: sender._id,
+            senderUsername: sender.username,
+            ...(message.parentId && { parentId: message.parentId }),
+            createdAt: new Date()
+        };
+
+        notified.push(userId);
+        sendNotification(userId, notification).catch(error => {
+            console.error(`Error sending mention notification to user ${userId}:`, error);
+        });
+        io?.to(`user:${userId}`).emit('notification:new', notification);
+    }
+
+    return notified;
+};
+
+module.exports = { resolveMentions, getMentionRecipients, notifyMentions };
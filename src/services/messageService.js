@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const { recordThreadReply } = require('./threadService');
+const { emitGroupEvent } = require('./groupEventService');
+const { getMembership } = require('./membershipService');
+const { parseFormatting } = require('../utils/formatter');
+
+const MAX_CLIENT_MESSAGE_ID_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 1000; // Message.text maxlength
+
+/**
+ * Validate an optional client-generated message id.
+ * Returns { clientMessageId } (undefined when none was sent) or { error }.
+ */
+const validateClientMessageId = (clientMessageId) => {
+    if (clientMessageId === undefined || clientMessageId === null || clientMessageId === '') {
+        return { clientMessageId: undefined };
+    }
+    if (typeof clientMessageId !== 'string' || clientMessageId.length > MAX_CLIENT_MESSAGE_ID_LENGTH) {
+        return { error: `clientMessageId must be a string of at most ${MAX_CLIENT_MESSAGE_ID_LENGTH} characters` };
+    }
+    return { clientMessageId };
+};
+
+const populateMessage = (messageId) =>
+    Message.findById(messageId)
+        .populate('senderId', 'username email')
+        .populate('groupId', 'name region')
+        .lean();
+
+/**
+ * Look up a message the sender already created with this client id.
+ * Returns what the original send returned ({ populatedMessage, thread }) or null.
+ */
+const findClientMessage = async (senderId, clientMessageId) => {
+    if (!clientMessageId) return null;
+
+    const existing = await Message.findOne({ senderId, clientMessageId }, { _id: 1, parentId: 1 }).lean();
+    if (!existing) return null;
+
+    const populatedMessage = await populateMessage(existing._id);
+    let thread = null;
+    if (existing.parentId) {
+        const parent = await Message.findById(existing.parentId, { replyCount: 1, lastReplyAt: 1 }).lean();
+        thread = {
+            parentId: existing.parentId,
+            replyCount: parent?.replyCount || 0,
+            lastReplyAt: parent?.lastReplyAt || null
+        };
+    }
+
+    return { populatedMessage, thread };
+};
+
+/**
+ * Snapshot a message being quoted. It must be in the same group and visible to the quoting user
+ * (not deleted or expired, and sent after they joined). The quote of a quote is not carried along.
+ * Returns { quote } or { error, status }.
+ */
+const buildQuote = async (quotedMessageId, { groupId, userId }) => {
+    if (!mongoose.isValidObjectId(quotedMessageId)) {
+        return { error: 'Invalid quoted message ID', status: 400 };
+    }
+    if (!mongoose.isValidObjectId(groupId)) {
+        return { error: 'Invalid group ID', status: 400 };
+    }
+
+    // Only members can quote, and only what they can see themselves
+    const group = await Group.findById(groupId, { users: 1, managers: 1 }).lean();
+    const isMember = group && (
+        group.users.some(id => id.toString() === userId.toString()) ||
+        group.managers.some(id => id.toString() === userId.toString())
+    );
+    if (!isMember) {
+        return { error: 'You are not a member of this group', status: 403 };
+    }
+
+    const quoted = await Message.findById(quotedMessageId, {
+        senderId: 1, groupId: 1, type: 1, text: 1, formatted: 1, file: 1, poll: 1, deleted: 1, expiresAt: 1, createdAt: 1
+    }).populate('senderId', 'username').lean();
+
+    const joinedAt = quoted && (await getMembership(userId, groupId))?.joinedAt;
+    const visible = quoted &&
+        !quoted.deleted?.isDeleted &&
+        !(quoted.expiresAt && quoted.expiresAt <= new Date()) &&
+        !(joinedAt && quoted.createdAt < joinedAt);
+    if (!visible) {
+        return { error: 'Quoted message not found', status: 404 };
+    }
+
+    if (quoted.groupId.toString() !== groupId.toString()) {
+        return { error: 'Quoted message belongs to a different group', status: 400 };
+    }
+
+    const text = quoted.type === 'poll' ? quoted.poll?.question || '' : quoted.text || '';
+    return {
+        quote: {
+            messageId: quoted._id,
+            senderId: quoted.senderId?._id || quoted.senderId,
+            senderUsername: quoted.senderId?.username,
+            type: quoted.type,
+            text,
+            formatted: quoted.type === 'poll' ? parseFormatting(text) : quoted.formatted || parseFormatting(text),
+            ...(quoted.file?.url && {
+                file: { url: quoted.file.url, mimetype: quoted.file.mimetype, originalname: quoted.file.originalname }
+            }),
+            createdAt: quoted.createdAt
+        }
+    };
+};
+
+/**
+ * Create a message, or return the existing one when the sender retries with the same client id.
+ * A concurrent retry that loses the race on the unique index gets the winner's message.
+ * Returns { message, duplicate }; `message` is the saved document (or the existing lean one).
+ */
+const createMessageOnce = async (data) => {
+    try {
+        return { message: await Message.create(data), duplicate: false };
+    } catch (error) {
+        if (error.code !== 11000 || !data.clientMessageId) throw error;
+        const message = await Message.findOne({ senderId: data.senderId, clientMessageId: data.clientMessageId }).lean();
+        if (!message) throw error;
+        return { message, duplicate: true };
+    }
+};
+
+/**
+ * Populate a freshly created message and broadcast it to its group room.
+ * Top-level messages go out as `message:new`, thread replies as `thread:reply`,
+ * both with the group's event sequence number.
+ */
+const publishMessage = async (io, message) => {
+    const populatedMessage = await populateMessage(message._id);
+
+    let thread = null;
+    let seq;
+    if (message.parentId) {
+        thread = await recordThreadReply(message.parentId, message.createdAt);
+        seq = await emitGroupEvent(io, message.groupId, 'thread:reply', { ...thread, message: populatedMessage });
+    } else {
+        seq = await emitGroupEvent(io, message.groupId, 'message:new', populatedMessage);
+    }
+
+    return { populatedMessage, thread, seq };
+};
+
+module.exports = {
+    MAX_MESSAGE_LENGTH,
+    validateClientMessageId,
+    findClientMessage,
+    buildQuote,
+    createMessageOnce,
+    publishMessage
+};
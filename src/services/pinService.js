@@ -0,0 +1,41 @@
+const Group = require('../models/Group');
+const { emitGroupEvent } = require('./groupEventService');
+
+/**
+ * Remove the given messages from every group's pin list and tell the affected rooms.
+ * Used when messages are soft-deleted or purged so pins never point at missing content.
+ */
+const unpinMessages = async (messageIds, io, reason = 'deleted') => {
+    if (!messageIds || messageIds.length === 0) return 0;
+
+    const groups = await Group.find(
+        { 'pinnedMessages.messageId': { $in: messageIds } },
+        { pinnedMessages: 1 }
+    ).lean();
+
+    if (groups.length === 0) return 0;
+
+    await Group.updateMany(
+        { _id: { $in: groups.map(group => group._id) } },
+        { $pull: { pinnedMessages: { messageId: { $in: messageIds } } } }
+    );
+
+    const removedIds = new Set(messageIds.map(id => id.toString()));
+    let unpinned = 0;
+
+    for (const group of groups) {
+        for (const pin of group.pinnedMessages) {
+            if (!removedIds.has(pin.messageId.toString())) continue;
+            unpinned += 1;
+            await emitGroupEvent(io, group._id, 'message:unpinned', {
+                groupId: group._id,
+                messageId: pin.messageId,
+                reason
+            });
+        }
+    }
+
+    return unpinned;
+};
+
+module.exports = { unpinMessages };
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 300;
+const MAX_OPTION_LENGTH = 100;
+
+/**
+ * Validate a poll payload. Returns { error } or { poll } ready to store on a message.
+ */
+const validatePoll = ({ question, options, multipleChoice = false, closesAt } = {}) => {
+    const trimmedQuestion = typeof question === 'string' ? question.trim() : '';
+    if (!trimmedQuestion || trimmedQuestion.length > MAX_QUESTION_LENGTH) {
+        return { error: `Poll question is required (max ${MAX_QUESTION_LENGTH} characters)` };
+    }
+
+    if (!Array.isArray(options)) {
+        return { error: 'Poll options must be an array' };
+    }
+
+    const optionTexts = options.map(option => (typeof option === 'string' ? option.trim() : ''));
+    if (optionTexts.length < MIN_OPTIONS || optionTexts.length > MAX_OPTIONS) {
+        return { error: `A poll needs between ${MIN_OPTIONS} and ${MAX_OPTIONS} options` };
+    }
+    if (optionTexts.some(text => !text || text.length > MAX_OPTION_LENGTH)) {
+        return { error: `Poll options must be non-empty (max ${MAX_OPTION_LENGTH} characters)` };
+    }
+    if (new Set(optionTexts.map(text => text.toLowerCase())).size !== optionTexts.length) {
+        return { error: 'Poll options must be unique' };
+    }
+
+    let closeDate = null;
+    if (closesAt) {
+        closeDate = new Date(closesAt);
+        if (isNaN(closeDate.getTime()) || closeDate.getTime() <= Date.now()) {
+            return { error: 'closesAt must be a valid date in the future' };
+        }
+    }
+
+    return {
+        poll: {
+            question: trimmedQuestion,
+            options: optionTexts.map(text => ({ text, votes: [] })),
+            multipleChoice: !!multipleChoice,
+            closesAt: closeDate,
+            closedAt: null
+        }
+    };
+};
+
+const isPollClosed = (poll) =>
+    !!poll?.closedAt || (!!poll?.closesAt && new Date(poll.closesAt).getTime() <= Date.now());
+
+/**
+ * Turn stored voter lists into tallies, adding the given user's own choices
+ */
+const summarizePoll = (poll, userId = null) => {
+    if (!poll) return null;
+
+    const voters = new Set();
+    const myVotes = [];
+    const options = (poll.options || []).map(option => {
+        const votes = option.votes || [];
+        votes.forEach(voter => voters.add(voter.toString()));
+        if (userId && votes.some(voter => voter.toString() === userId.toString())) {
+            myVotes.push(option._id);
+        }
+        return { _id: option._id, text: option.text, votes: votes.length };
+    });
+
+    return {
+        question: poll.question,
+        multipleChoice: !!poll.multipleChoice,
+        closesAt: poll.closesAt || null,
+        closedAt: poll.closedAt || null,
+        isClosed: isPollClosed(poll),
+        totalVoters: voters.size,
+        options,
+        ...(userId && { myVotes })
+    };
+};
+
+const loadPollForMember = async (messageId, userId) => {
+    if (!mongoose.isValidObjectId(messageId)) {
+        return { error: 'Invalid message ID', status: 400 };
+    }
+
+    const message = await Message.findById(messageId, { type: 1, poll: 1, groupId: 1, senderId: 1, deleted: 1 }).lean();
+    if (!message || message.deleted?.isDeleted || message.type !== 'poll') {
+        return { error: 'Poll not found', status: 404 };
+    }
+
+    const group = await Group.findById(message.groupId, { users: 1, managers: 1 }).lean();
+    const isMember = group && (
+        group.users.some(user => user.toString() === userId.toString()) ||
+        group.managers.some(manager => manager.toString() === userId.toString())
+    );
+
+    if (!isMember) {
+        return { error: 'You are not a member of this group', status: 403, message, group };
+    }
+
+    return { message, group };
+};
+
+/**
+ * Replace a user's votes on a poll. An empty optionIds list retracts the vote.
+ */
+const castVote = async ({ messageId, userId, optionIds = [] }) => {
+    const { message, error, status } = await loadPollForMember(messageId, userId);
+    if (error) return { error, status };
+
+    if (isPollClosed(message.poll)) {
+        return { error: 'This poll is closed', status: 400 };
+    }
+
+    const requested = [...new Set((Array.isArray(optionIds) ? optionIds : [optionIds]).map(String))];
+    const validIds = new Set(message.poll.options.map(option => option._id.toString()));
+    if (requested.some(id => !validIds.has(id))) {
+        return { error: 'Invalid poll option', status: 400 };
+    }
+    if (!message.poll.multipleChoice && requested.length > 1) {
+        return { error: 'This poll allows only one choice', status: 400 };
+    }
+
+    const voter = new mongoose.Types.ObjectId(userId.toString());
+    const selected = requested.map(id => new mongoose.Types.ObjectId(id));
+    const now = new Date();
+
+    // Single atomic update: drop the user from every option, then add them to the selected ones
+    const result = await Message.updateOne(
+        {
+            _id: message._id,
+            'poll.closedAt': null,
+            $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+        },
+        [{
+            $set: {
+                'poll.options': {
+                    $map: {
+                        input: '$poll.options',
+                        as: 'option',
+                        in: {
+                            $mergeObjects: ['$$option', {
+                                votes: {
+                                    $cond: [
+                                        { $in: ['$$option._id', selected] },
+                                        { $setUnion: [{ $setDifference: [{ $ifNull: ['$$option.votes', []] }, [voter]] }, [voter]] },
+                                        { $setDifference: [{ $ifNull: ['$$option.votes', []] }, [voter]] }
+                                    ]
+                                }
+                            }]
+                        }
+                    }
+                }
+            }
+        }]
+    );
+
+    if (result.matchedCount === 0) {
+        return { error: 'This poll is closed', status: 400 };
+    }
+
+    const updated = await Message.findById(message._id, { poll: 1 }).lean();
+
+    return {
+        messageId: message._id,
+        groupId: message.groupId,
+        poll: summarizePoll(updated.poll),
+        myVotes: summarizePoll(updated.poll, userId).myVotes
+    };
+};
+
+/**
+ * Close a poll early (poll author, group managers or admins)
+ */
+const closePoll = async ({ messageId, user }) => {
+    const { message, group, error, status } = await loadPollForMember(messageId, user._id);
+    if (error && !(status === 403 && user.role === 'admin')) return { error, status };
+
+    const canClose = user.role === 'admin' ||
+        message.senderId.toString() === user._id.toString() ||
+        group?.managers.some(manager => manager.toString() === user._id.toString());
+
+    if (!canClose) {
+        return { error: 'Only the poll author, group managers and admins can close this poll', status: 403 };
+    }
+
+    if (message.poll.closedAt) {
+        return { error: 'This poll is already closed', status: 400 };
+    }
+
+    const updated = await Message.findByIdAndUpdate(
+        message._id,
+        { $set: { 'poll.closedAt': new Date(), 'poll.closedBy': user._id } },
+        { new: true, projection: { poll: 1 } }
+    ).lean();
+
+    return {
+        messageId: message._id,
+        groupId: message.groupId,
+        poll: summarizePoll(updated.poll)
+    };
+};
+
+module.exports = { validatePoll, summarizePoll, castVote, closePoll };
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+
+const MAX_EMOJI_LENGTH = 32;
+// Different emoji one message can collect; reacting with one already there is always allowed
+const MAX_DISTINCT_REACTIONS = 20;
+// A keycap (1️⃣) or a pictograph / flag, optionally joined with skin tones, ZWJ sequences and tags
+const EMOJI_REGEX = /^(?:[#*0-9]\uFE0F?\u20E3|[\p{Extended_Pictographic}\p{Regional_Indicator}][\p{Extended_Pictographic}\p{Emoji_Modifier}\p{Regional_Indicator}\u200D\uFE0F\u{E0020}-\u{E007F}]*)$/u;
+
+const normalizeEmoji = (emoji) => {
+    if (typeof emoji !== 'string') return null;
+    const value = emoji.trim();
+    if (!value || value.length > MAX_EMOJI_LENGTH || !EMOJI_REGEX.test(value)) return null;
+    return value;
+};
+
+/**
+ * Aggregate raw reactions into per-emoji counts, flagging the ones the given user added
+ */
+const summarizeReactions = (reactions = [], userId = null) => {
+    const summary = new Map();
+
+    for (const reaction of reactions) {
+        const entry = summary.get(reaction.emoji) || { emoji: reaction.emoji, count: 0, reacted: false };
+        entry.count += 1;
+        if (userId && reaction.userId?.toString() === userId.toString()) {
+            entry.reacted = true;
+        }
+        summary.set(reaction.emoji, entry);
+    }
+
+    return [...summary.values()].map(entry => (userId ? entry : { emoji: entry.emoji, count: entry.count }));
+};
+
+/**
+ * Add or remove a user's emoji reaction on a message.
+ * Returns { error, status } on failure or the updated reaction summary on success.
+ */
+const updateReaction = async ({ messageId, userId, emoji, action }) => {
+    const value = normalizeEmoji(emoji);
+    if (!value) {
+        return { error: 'A valid emoji is required', status: 400 };
+    }
+
+    if (!mongoose.isValidObjectId(messageId)) {
+        return { error: 'Invalid message ID', status: 400 };
+    }
+
+    const message = await Message.findById(messageId, { groupId: 1, deleted: 1 }).lean();
+    if (!message || message.deleted?.isDeleted) {
+        return { error: 'Message not found', status: 404 };
+    }
+
+    const group = await Group.findById(message.groupId, { users: 1, managers: 1 }).lean();
+    const isMember = group && (
+        group.users.some(user => user.toString() === userId.toString()) ||
+        group.managers.some(manager => manager.toString() === userId.toString())
+    );
+
+    if (!isMember) {
+        return { error: 'You are not a member of this group', status: 403 };
+    }
+
+    // Both updates are no-ops when the reaction is already in the requested state
+    const update = action === 'remove'
+        ? { $pull: { reactions: { emoji: value, userId } } }
+        : { $push: { reactions: { emoji: value, userId, createdAt: new Date() } } };
+    const filter = action === 'remove'
+        ? { _id: messageId }
+        : {
+            _id: messageId,
+            reactions: { $not: { $elemMatch: { emoji: value, userId } } },
+            $or: [
+                { 'reactions.emoji': value },
+                { $expr: { $lt: [{ $size: { $setUnion: [{ $ifNull: ['$reactions.emoji', []] }] } }, MAX_DISTINCT_REACTIONS] } }
+            ]
+        };
+
+    await Message.updateOne(filter, update);
+
+    const updated = await Message.findById(messageId, { reactions: 1 }).lean();
+
+    if (action !== 'remove' && !updated?.reactions?.some(reaction => reaction.emoji === value)) {
+        return { error: `A message can have at most ${MAX_DISTINCT_REACTIONS} different reactions`, status: 400 };
+    }
+
+    return {
+        messageId: message._id,
+        groupId: message.groupId,
+        userId,
+        emoji: value,
+        action: action === 'remove' ? 'removed' : 'added',
+        reactions: summarizeReactions(updated?.reactions)
+    };
+};
+
+module.exports = { summarizeReactions, updateReaction };
@@ -0,0 +1,187 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { addMembership, getMembership } = require('./membershipService');
+
+const CURSORS = {
+    read: { at: 'lastReadAt', messageId: 'lastReadMessageId' },
+    delivered: { at: 'lastDeliveredAt', messageId: 'lastDeliveredMessageId' }
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Messages that count towards unread totals and receipts: top-level, not deleted, not expired
+const visibleMessagesQuery = (now = new Date()) => ({
+    'deleted.isDeleted': { $ne: true },
+    parentId: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+});
+
+/**
+ * Move a user's read or delivered cursor for a group forward to the given message.
+ * Cursors never move backwards, so out-of-order acknowledgements are harmless.
+ * Returns the cursor when it moved, null otherwise.
+ */
+const advanceCursor = async (userId, groupId, messageId, kind = 'read') => {
+    const fields = CURSORS[kind];
+    if (!fields || !mongoose.isValidObjectId(groupId) || !mongoose.isValidObjectId(messageId)) return null;
+
+    const message = await Message.findOne({ _id: messageId, groupId }, { createdAt: 1 }).lean();
+    if (!message) return null;
+
+    const groupObjectId = toObjectId(groupId);
+    const cursorFilter = {
+        groupId: groupObjectId,
+        $or: [{ [fields.at]: null }, { [fields.at]: { $lt: message.createdAt } }]
+    };
+    const update = {
+        $set: {
+            [`memberships.$.${fields.at}`]: message.createdAt,
+            [`memberships.$.${fields.messageId}`]: message._id
+        }
+    };
+
+    let result = await User.updateOne({ _id: userId, memberships: { $elemMatch: cursorFilter } }, update);
+
+    if (result.matchedCount === 0) {
+        // Users from before multi-group membership have no membership entry to hold the cursor yet
+        const membership = await getMembership(userId, groupId);
+        if (!membership) return null;
+        await addMembership(userId, groupId, { joinedAt: membership.joinedAt });
+        result = await User.updateOne({ _id: userId, memberships: { $elemMatch: cursorFilter } }, update);
+        if (result.matchedCount === 0) return null;
+    }
+
+    return { groupId: groupObjectId, [fields.at]: message.createdAt, [fields.messageId]: message._id };
+};
+
+/**
+ * Advance cursors from a list of message ids, which may span several groups.
+ * Only the newest message per group matters. Returns the cursors that moved.
+ */
+const advanceCursorsForMessages = async (userId, messageIds = [], kind = 'read') => {
+    const ids = (Array.isArray(messageIds) ? messageIds : [messageIds]).filter(id => mongoose.isValidObjectId(id));
+    if (ids.length === 0) return [];
+
+    const latest = await Message.aggregate([
+        { $match: { _id: { $in: ids.map(toObjectId) } } },
+        { $sort: { createdAt: -1 } },
+        { $group: { _id: '$groupId', messageId: { $first: '$_id' } } }
+    ]);
+
+    const moved = [];
+    for (const { _id: groupId, messageId } of latest) {
+        const cursor = await advanceCursor(userId, groupId, messageId, kind);
+        if (cursor) moved.push(cursor);
+    }
+    return moved;
+};
+
+/**
+ * Count messages that arrived after each read cursor, for all of a user's groups in one query
+ */
+const getUnreadCounts = async (userId) => {
+    const user = await User.findById(userId, { groupId: 1, groupJoinedAt: 1, memberships: 1 }).lean();
+    if (!user) return [];
+
+    const memberships = [...(user.memberships || [])];
+    if (user.groupId && !memberships.some(membership => membership.groupId.equals(user.groupId))) {
+        memberships.push({ groupId: user.groupId, joinedAt: user.groupJoinedAt || null });
+    }
+    if (memberships.length === 0) return [];
+
+    const userObjectId = toObjectId(userId);
+    const counts = await Message.aggregate([
+        {
+            $match: {
+                ...visibleMessagesQuery(),
+                senderId: { $ne: userObjectId },
+                $and: [{
+                    $or: memberships.map(membership => {
+                        const since = [membership.lastReadAt, membership.joinedAt]
+                            .filter(Boolean)
+                            .reduce((latest, date) => (date > latest ? date : latest), null);
+                        return since
+                            ? { groupId: membership.groupId, createdAt: { $gt: since } }
+                            : { groupId: membership.groupId };
+                    })
+                }]
+            }
+        },
+        { $group: { _id: '$groupId', unread: { $sum: 1 } } }
+    ]);
+
+    const unreadByGroup = new Map(counts.map(entry => [entry._id.toString(), entry.unread]));
+
+    return memberships.map(membership => ({
+        groupId: membership.groupId,
+        unread: unreadByGroup.get(membership.groupId.toString()) || 0,
+        lastReadAt: membership.lastReadAt || null,
+        lastReadMessageId: membership.lastReadMessageId || null
+    }));
+};
+
+/**
+ * Load every member's cursors for a group
+ */
+const getGroupCursors = async (groupId) => {
+    const groupObjectId = toObjectId(groupId);
+    const users = await User.find(
+        { $or: [{ 'memberships.groupId': groupObjectId }, { groupId: groupObjectId }] },
+        { username: 1, memberships: { $elemMatch: { groupId: groupObjectId } } }
+    ).lean();
+
+    return users
+        .map(user => ({ user, cursor: user.memberships?.[0] }))
+        .filter(({ cursor }) => cursor);
+};
+
+/**
+ * Derive seenBy/deliveredTo/status for messages from the group's cursors.
+ * A message counts as seen (or delivered) by everyone whose cursor is at or past it.
+ * Reading implies delivery.
+ */
+const deriveReceipts = (message, cursors) => {
+    const createdAt = new Date(message.createdAt);
+    const senderId = (message.senderId?._id || message.senderId)?.toString();
+    const seenBy = [];
+    const deliveredTo = [];
+
+    for (const { user, cursor } of cursors) {
+        if (user._id.toString() === senderId) continue;
+        const seen = cursor.lastReadAt && cursor.lastReadAt >= createdAt;
+        const delivered = seen || (cursor.lastDeliveredAt && cursor.lastDeliveredAt >= createdAt);
+        if (seen) seenBy.push(user._id);
+        if (delivered) deliveredTo.push(user._id);
+    }
+
+    const status = seenBy.length > 0 ? 'seen' : deliveredTo.length > 0 ? 'delivered' : 'sent';
+    return { seenBy, deliveredTo, status };
+};
+
+/**
+ * Full read receipt for one message, with usernames
+ */
+const getReadReceipts = async (message) => {
+    const cursors = await getGroupCursors(message.groupId);
+    const { seenBy, deliveredTo, status } = deriveReceipts(message, cursors);
+    const names = new Map(cursors.map(({ user }) => [user._id.toString(), user.username]));
+    const withNames = ids => ids.map(id => ({ _id: id, username: names.get(id.toString()) }));
+
+    return {
+        messageId: message._id,
+        groupId: message.groupId,
+        status,
+        seenBy: withNames(seenBy),
+        deliveredTo: withNames(deliveredTo)
+    };
+};
+
+module.exports = {
+    advanceCursor,
+    advanceCursorsForMessages,
+    getUnreadCounts,
+    getGroupCursors,
+    deriveReceipts,
+    getReadReceipts
+};
@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { getRedisClient } = require('../config/redis');
+const { parseDuration } = require('../utils/token');
+
+const TOKEN_BYTES = 48;
+const CACHE_PREFIX = 'refresh:';
+// A token presented again this soon after it was rotated is a race (two tabs refreshing at once),
+// not a stolen copy, so the family is left alone
+const REUSE_GRACE_MS = 10 * 1000;
+
+// Refresh token lifetime from JWT_REFRESH_EXPIRES_IN ('7d', '12h', '3600' seconds ...)
+const refreshTtlMs = () => parseDuration(process.env.JWT_REFRESH_EXPIRES_IN || '7d', 7 * 24 * 60 * 60 * 1000);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const cacheKey = (tokenHash) => `${CACHE_PREFIX}${tokenHash}`;
+
+// The cache only ever holds tokens that can still be exchanged; anything else is read from Mongo
+const cacheToken = async (record) => {
+    const redis = getRedisClient();
+    const ttl = Math.floor((new Date(record.expiresAt).getTime() - Date.now()) / 1000);
+    if (!redis || ttl <= 0) return;
+    try {
+        await redis.setEx(cacheKey(record.tokenHash), ttl, JSON.stringify({
+            _id: record._id,
+            userId: record.userId,
+            familyId: record.familyId,
+            expiresAt: record.expiresAt
+        }));
+    } catch (error) {
+        console.error('Error caching refresh token:', error);
+    }
+};
+
+const readCachedToken = async (tokenHash) => {
+    const redis = getRedisClient();
+    if (!redis) return null;
+    try {
+        const cached = await redis.get(cacheKey(tokenHash));
+        return cached ? JSON.parse(cached) : null;
+    } catch (error) {
+        console.error('Error reading cached refresh token:', error);
+        return null;
+    }
+};
+
+const uncacheTokens = async (tokenHashes) => {
+    const redis = getRedisClient();
+    if (!redis || tokenHashes.length === 0) return;
+    try {
+        await redis.del(tokenHashes.map(cacheKey));
+    } catch (error) {
+        console.error('Error removing cached refresh tokens:', error);
+    }
+};
+
+/**
+ * Mint a refresh token in a family (the session it belongs to).
+ * Returns { refreshToken, refreshTokenExpiresAt, familyId }; the raw token is never stored.
+ */
+const issueRefreshToken = async (userId, { familyId, userAgent, ip }) => {
+    const refreshToken = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+    const record = await RefreshToken.create({
+        userId,
+        tokenHash: hashToken(refreshToken),
+        familyId,
+        expiresAt: new Date(Date.now() + refreshTtlMs()),
+        userAgent,
+        ip
+    });
+
+    await cacheToken(record);
+
+    return { refreshToken, refreshTokenExpiresAt: record.expiresAt, familyId: record.familyId, record };
+};
+
+/**
+ * Revoke every token of a family, e.g. on logout or when a used token shows up again
+ */
+const revokeFamily = async (familyId, reason = 'revoked') => {
+    const tokens = await RefreshToken.find({ familyId, revokedAt: null }, { tokenHash: 1 }).lean();
+    if (tokens.length === 0) return 0;
+
+    await RefreshToken.updateMany(
+        { familyId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    await uncacheTokens(tokens.map(token => token.tokenHash));
+    return tokens.length;
+};
+
+/**
+ * Exchange a refresh token for a new one in the same family.
+ * Each token works once: presenting a token that was already exchanged means it leaked (or the
+ * client replayed it), so the whole family is revoked and the legitimate holder has to log in again.
+ * Returns { error, status, reusedFamilyId } or { user, refreshToken, refreshTokenExpiresAt, familyId }.
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent, ip } = {}) => {
+    if (typeof refreshToken !== 'string' || !refreshToken) {
+        return { error: 'Refresh token is required', status: 400 };
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+
+    // A cached token is known to be unused, so an expired one can be turned away without Mongo.
+    // A miss proves nothing (the cache may have been flushed); Mongo stays the source of truth.
+    const cached = await readCachedToken(tokenHash);
+    if (cached && new Date(cached.expiresAt) <= now) {
+        await uncacheTokens([tokenHash]);
+        return { error: 'Invalid refresh token', status: 401 };
+    }
+
+    // Claim the token; only one request can ever do this. When the cache already names the
+    // user, loading them runs alongside the claim instead of after it.
+    const [claimed, cachedUser] = await Promise.all([
+        RefreshToken.findOneAndUpdate(
+            { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+            { $set: { usedAt: now } },
+            { new: true }
+        ).lean(),
+        cached ? User.findById(cached.userId) : null
+    ]);
+    await uncacheTokens([tokenHash]);
+
+    if (!claimed) {
+        const existing = await RefreshToken.findOne({ tokenHash }, { familyId: 1, userId: 1, usedAt: 1, revokedAt: 1 }).lean();
+        if (existing?.usedAt && !existing.revokedAt && now - existing.usedAt < REUSE_GRACE_MS) {
+            return { error: 'Refresh token was just rotated, use the newer one', status: 401 };
+        }
+        if (existing?.usedAt && !existing.revokedAt) {
+            console.warn(`⚠️ Refresh token reuse detected for user ${existing.userId}, revoking token family ${existing.familyId}`);
+            await revokeFamily(existing.familyId, 'reuse');
+            return { error: 'Invalid refresh token', status: 401, reusedFamilyId: existing.familyId };
+        }
+        return { error: 'Invalid refresh token', status: 401 };
+    }
+
+    const user = cachedUser?._id.equals(claimed.userId) ? cachedUser : await User.findById(claimed.userId);
+    if (!user) {
+        await revokeFamily(claimed.familyId);
+        return { error: 'User not found', status: 401 };
+    }
+
+    const next = await issueRefreshToken(user._id, { familyId: claimed.familyId, userAgent, ip });
+    await RefreshToken.updateOne({ _id: claimed._id }, { $set: { replacedBy: next.record._id } });
+
+    return {
+        user,
+        refreshToken: next.refreshToken,
+        refreshTokenExpiresAt: next.refreshTokenExpiresAt,
+        familyId: next.familyId
+    };
+};
+
+module.exports = {
+    refreshTtlMs,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeFamily
+};
@@ -0,0 +1,214 @@
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const Bookmark = require('../models/Bookmark');
+const { deleteFromLocal } = require('./fileStorageService');
+const { unpinMessages } = require('./pinService');
+const { acquireJobLock, releaseJobLock } = require('./jobLockService');
+const { emitGroupEvent, redactMessageEvents } = require('./groupEventService');
+const { removeThreadReply } = require('./threadService');
+
+const RETENTION_MODES = ['forever', 'days', 'disappearing'];
+const MAX_RETENTION_DAYS = 3650;
+const MIN_TTL_SECONDS = 10;
+const MAX_TTL_SECONDS = 30 * 24 * 60 * 60;
+const SOFT_DELETE_GRACE_MS = 24 * 60 * 60 * 1000;
+const CHUNK_SIZE = 500;
+const JOB_NAME = 'message-retention';
+
+/**
+ * Validate a retention policy payload. Returns { error } or { policy }.
+ */
+const validateRetentionPolicy = ({ mode, days, ttlSeconds } = {}) => {
+    if (!RETENTION_MODES.includes(mode)) {
+        return { error: `Retention mode must be one of: ${RETENTION_MODES.join(', ')}` };
+    }
+
+    if (mode === 'days') {
+        const value = parseInt(days);
+        if (!Number.isInteger(value) || value < 1 || value > MAX_RETENTION_DAYS) {
+            return { error: `days must be a whole number between 1 and ${MAX_RETENTION_DAYS}` };
+        }
+        return { policy: { mode, days: value, ttlSeconds: null } };
+    }
+
+    if (mode === 'disappearing') {
+        const value = parseInt(ttlSeconds);
+        if (!Number.isInteger(value) || value < MIN_TTL_SECONDS || value > MAX_TTL_SECONDS) {
+            return { error: `ttlSeconds must be between ${MIN_TTL_SECONDS} and ${MAX_TTL_SECONDS}` };
+        }
+        return { policy: { mode, days: null, ttlSeconds: value } };
+    }
+
+    return { policy: { mode, days: null, ttlSeconds: null } };
+};
+
+/**
+ * Work out when a new message should disappear.
+ * A per-message expiresIn (seconds) wins over the group's disappearing-message TTL.
+ * Returns { expiresAt } (undefined when the normal retention rules apply) or { error }.
+ */
+const computeExpiresAt = (group, expiresIn) => {
+    if (expiresIn !== undefined && expiresIn !== null && expiresIn !== '') {
+        const seconds = parseInt(expiresIn);
+        if (!Number.isInteger(seconds) || seconds < MIN_TTL_SECONDS || seconds > MAX_TTL_SECONDS) {
+            return { error: `expiresIn must be between ${MIN_TTL_SECONDS} and ${MAX_TTL_SECONDS} seconds` };
+        }
+        return { expiresAt: new Date(Date.now() + seconds * 1000) };
+    }
+
+    if (group?.retention?.mode === 'disappearing' && group.retention.ttlSeconds) {
+        return { expiresAt: new Date(Date.now() + group.retention.ttlSeconds * 1000) };
+    }
+
+    return { expiresAt: undefined };
+};
+
+/**
+ * Hard-delete a batch of messages, their unshared files, pins and bookmarks, and take purged
+ * replies off their threads' counters
+ */
+const purgeMessages = async (messages, io, { announce }) => {
+    if (messages.length === 0) return 0;
+
+    const ids = messages.map(message => message._id);
+    const result = await Message.deleteMany({ _id: { $in: ids } });
+
+    // Forwarded copies share the original's file, so only remove files nothing references anymore
+    const fileKeys = [...new Set(messages.map(message => message.file?.key).filter(Boolean))];
+    for (const key of fileKeys) {
+        const stillReferenced = await Message.exists({ 'file.key': key });
+        if (!stillReferenced) {
+            await deleteFromLocal(key);
+        }
+    }
+
+    // The event log would otherwise keep their content for GROUP_EVENT_TTL_SECONDS
+    await redactMessageEvents(ids);
+    await unpinMessages(ids, io, 'expired');
+    await Bookmark.deleteMany({ messageId: { $in: ids } });
+
+    // Soft-deleted replies already left their thread's counter when they were deleted
+    const removedReplies = new Map();
+    for (const message of messages) {
+        if (!message.parentId || message.deleted?.isDeleted) continue;
+        const parentId = message.parentId.toString();
+        removedReplies.set(parentId, (removedReplies.get(parentId) || 0) + 1);
+    }
+    const threadsByGroup = new Map();
+    for (const [parentId, count] of removedReplies) {
+        const thread = await removeThreadReply(parentId, count);
+        const groupId = messages.find(message => message.parentId?.toString() === parentId).groupId.toString();
+        if (!threadsByGroup.has(groupId)) threadsByGroup.set(groupId, []);
+        threadsByGroup.get(groupId).push(thread);
+    }
+
+    if (announce) {
+        const byGroup = new Map();
+        for (const message of messages) {
+            const groupId = message.groupId.toString();
+            if (!byGroup.has(groupId)) byGroup.set(groupId, []);
+            byGroup.get(groupId).push(message._id);
+        }
+        for (const [groupId, messageIds] of byGroup) {
+            const threads = threadsByGroup.get(groupId);
+            await emitGroupEvent(io, groupId, 'messages:expired', { groupId, messageIds, ...(threads && { threads }) });
+        }
+    }
+
+    return result.deletedCount;
+};
+
+/**
+ * Purge every message matching the query in chunks
+ */
+const purgeMatching = async (query, io, options) => {
+    let total = 0;
+
+    while (true) {
+        const messages = await Message.find(query, { _id: 1, groupId: 1, parentId: 1, 'deleted.isDeleted': 1, 'file.key': 1 })
+            .limit(CHUNK_SIZE)
+            .lean();
+
+        if (messages.length === 0) break;
+        total += await purgeMessages(messages, io, options);
+
+        if (messages.length < CHUNK_SIZE) break;
+
+        // Small delay to prevent overwhelming the database
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return total;
+};
+
+/**
+ * Apply soft-delete cleanup, disappearing messages and per-group retention windows
+ */
+const runRetention = async (io) => {
+    const now = Date.now();
+
+    // Soft-deleted messages are kept for a grace period before being removed for good
+    const purgedDeleted = await purgeMatching({
+        'deleted.isDeleted': true,
+        'deleted.deletedAt': { $lt: new Date(now - SOFT_DELETE_GRACE_MS) }
+    }, io, { announce: false });
+
+    // Disappearing messages whose TTL has passed
+    const purgedExpired = await purgeMatching({
+        expiresAt: { $lte: new Date(now) }
+    }, io, { announce: true });
+
+    // Groups that only keep the last N days
+    let purgedByPolicy = 0;
+    const groups = await Group.find({ 'retention.mode': 'days' }, { 'retention.days': 1 }).lean();
+    for (const group of groups) {
+        purgedByPolicy += await purgeMatching({
+            groupId: group._id,
+            createdAt: { $lt: new Date(now - group.retention.days * 24 * 60 * 60 * 1000) }
+        }, io, { announce: true });
+    }
+
+    if (purgedDeleted + purgedExpired + purgedByPolicy > 0) {
+        console.log(`🧹 Retention: removed ${purgedDeleted} deleted, ${purgedExpired} expired and ${purgedByPolicy} out-of-policy messages`);
+    }
+
+    return { purgedDeleted, purgedExpired, purgedByPolicy };
+};
+
+/**
+ * Run retention periodically. Only the instance holding the job lease does the work;
+ * the holder renews it every tick and another instance takes over if it goes away.
+ */
+const startRetentionWorker = (io) => {
+    const interval = parseInt(process.env.RETENTION_JOB_INTERVAL) || 60000;
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            if (await acquireJobLock(JOB_NAME, interval * 3)) {
+                await runRetention(io);
+            }
+        } catch (error) {
+            console.error('Error running message retention:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    console.log(`🧹 Retention worker started (every ${interval}ms)`);
+
+    return () => {
+        clearInterval(timer);
+        releaseJobLock(JOB_NAME).catch(error => console.error('Error releasing retention lock:', error));
+    };
+};
+
+module.exports = {
+    validateRetentionPolicy,
+    computeExpiresAt,
+    runRetention,
+    startRetentionWorker
+};
@@ -0,0 +1,190 @@
+const ScheduledMessage = require('../models/ScheduledMessage');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const { extractTags } = require('../utils/parser');
+const { parseFormatting } = require('../utils/formatter');
+const { resolveThreadParent } = require('./threadService');
+const { publishMessage } = require('./messageService');
+const { INSTANCE_ID } = require('./jobLockService');
+const { computeExpiresAt } = require('./retentionService');
+const { resolveMentions, notifyMentions } = require('./mentionService');
+const { checkDirectSend } = require('./directMessageService');
+
+const LEASE_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+// Wait before retrying a failed delivery: 30s, 1m, 2m ... so a short outage does not use up every attempt
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 15 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Atomically claim the next due scheduled message for this instance.
+ * Expired leases from crashed instances are picked up again; failed ones wait for their nextAttemptAt.
+ */
+const claimDueMessage = () => {
+    const now = new Date();
+    return ScheduledMessage.findOneAndUpdate(
+        {
+            $or: [
+                { status: 'pending', scheduledFor: { $lte: now }, nextAttemptAt: { $not: { $gt: now } } },
+                { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - LEASE_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedBy: INSTANCE_ID, lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { scheduledFor: 1 }, new: true }
+    );
+};
+
+/**
+ * Create the real message for a claimed scheduled message.
+ * The unique scheduledMessageId index guarantees at most one message per schedule,
+ * so a retry after a crash picks up the existing message instead of posting twice.
+ */
+const deliverScheduledMessage = async (io, scheduled) => {
+    const group = await Group.findById(scheduled.groupId, { name: 1, type: 1, users: 1, managers: 1, retention: 1 }).lean();
+    const isMember = group && (
+        group.users.some(user => user.equals(scheduled.senderId)) ||
+        group.managers.some(manager => manager.equals(scheduled.senderId))
+    );
+
+    if (!isMember) {
+        throw Object.assign(new Error('Sender is no longer a member of this group'), { permanent: true });
+    }
+
+    // Same DM rules as sending right away; the policy may have changed since this was scheduled
+    const sender = await User.findById(scheduled.senderId, { username: 1, role: 1 }).lean();
+    if (group.type === 'direct') {
+        const directError = sender
+            ? await checkDirectSend(group, sender)
+            : 'Sender no longer exists';
+        if (directError) {
+            throw Object.assign(new Error(directError), { permanent: true });
+        }
+    }
+
+    let parentId = null;
+    if (scheduled.parentId) {
+        const thread = await resolveThreadParent(scheduled.parentId, scheduled.groupId);
+        if (thread.error) {
+            throw Object.assign(new Error(thread.error), { permanent: true });
+        }
+        parentId = thread.parentId;
+    }
+
+    const { mentions, mentionsGroup } = await resolveMentions(scheduled.text, group);
+
+    let message;
+    try {
+        message = await Message.create({
+            senderId: scheduled.senderId,
+            groupId: scheduled.groupId,
+            text: scheduled.text || '',
+            formatted: parseFormatting(scheduled.text),
+            file: scheduled.file?.url ? scheduled.file : null,
+            tags: extractTags(scheduled.text || ''),
+            mentions,
+            mentionsGroup,
+            parentId,
+            expiresAt: computeExpiresAt(group).expiresAt,
+            scheduledMessageId: scheduled._id
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        message = await Message.findOne({ scheduledMessageId: scheduled._id });
+    }
+
+    // Announce the message unless an earlier attempt got that far; one that crashed between
+    // creating and announcing it leaves publishedAt unset, so the retry announces it instead
+    if (!message.publishedAt) {
+        await publishMessage(io, message);
+        if (sender) {
+            await notifyMentions({ io, message, group, sender });
+        }
+        await Message.updateOne({ _id: message._id }, { $set: { publishedAt: new Date() } }, { timestamps: false });
+    }
+
+    await ScheduledMessage.updateOne(
+        { _id: scheduled._id, lockedBy: INSTANCE_ID },
+        {
+            $set: { status: 'sent', messageId: message._id, sentAt: new Date() },
+            $unset: { lockedBy: '', lockedAt: '', lastError: '', nextAttemptAt: '' }
+        }
+    );
+
+    return message;
+};
+
+/**
+ * Deliver every scheduled message that is due
+ */
+const processDueMessages = async (io) => {
+    let processed = 0;
+
+    while (processed < BATCH_SIZE) {
+        const scheduled = await claimDueMessage();
+        if (!scheduled) break;
+        processed += 1;
+
+        try {
+            await deliverScheduledMessage(io, scheduled);
+            console.log(`⏰ Scheduled message ${scheduled._id} posted to group: ${scheduled.groupId}`);
+        } catch (error) {
+            const failed = error.permanent || scheduled.attempts >= MAX_ATTEMPTS;
+            console.error(`Error delivering scheduled message ${scheduled._id}:`, error.message);
+
+            const retryDelay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (scheduled.attempts - 1), MAX_RETRY_DELAY_MS);
+            await ScheduledMessage.updateOne(
+                { _id: scheduled._id, lockedBy: INSTANCE_ID },
+                {
+                    $set: {
+                        status: failed ? 'failed' : 'pending',
+                        lastError: error.message,
+                        ...(!failed && { nextAttemptAt: new Date(Date.now() + retryDelay) })
+                    },
+                    $unset: { lockedBy: '', lockedAt: '' }
+                }
+            );
+
+            if (failed) {
+                io?.to(`user:${scheduled.senderId}`).emit('scheduled:failed', {
+                    scheduledMessageId: scheduled._id,
+                    groupId: scheduled.groupId,
+                    error: error.message
+                });
+            }
+        }
+    }
+
+    return processed;
+};
+
+/**
+ * Poll for due scheduled messages. Safe to run on every instance.
+ */
+const startScheduledMessageWorker = (io) => {
+    const interval = parseInt(process.env.SCHEDULED_MESSAGES_POLL_INTERVAL) || 15000;
+    let running = false;
+
+    const tick = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await processDueMessages(io);
+        } catch (error) {
+            console.error('Error processing scheduled messages:', error);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, interval);
+    console.log(`⏰ Scheduled message worker started (every ${interval}ms)`);
+
+    return () => clearInterval(timer);
+};
+
+module.exports = { processDueMessages, startScheduledMessageWorker };
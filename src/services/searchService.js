@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Group = require('../models/Group');
+const User = require('../models/User');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const SNIPPET_RADIUS = 60;
+const FILE_CATEGORIES = ['image', 'video', 'audio', 'text', 'application'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const value = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return value && mongoose.isValidObjectId(value.id) ? value : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Words and quoted phrases of a search query, used to highlight matches
+ */
+const extractTerms = (q) => {
+    const terms = [];
+    const regex = /"([^"]+)"|(\S+)/g;
+    let match;
+    while ((match = regex.exec(q)) !== null) {
+        const term = (match[1] || match[2]).replace(/^-/, '').trim();
+        // Negated terms (-word) are exclusions and never appear in results
+        if (term && !(match[2] && match[2].startsWith('-'))) terms.push(term);
+    }
+    return terms;
+};
+
+/**
+ * Cut a snippet around the first matching term and report where the terms appear in it.
+ * Highlights are character ranges so clients can render them without trusting any markup.
+ */
+const buildSnippet = (text = '', terms = []) => {
+    if (!text) return { snippet: '', highlights: [] };
+
+    const pattern = terms.length > 0
+        ? new RegExp(terms.map(escapeRegex).join('|'), 'gi')
+        : null;
+    const first = pattern ? text.search(pattern) : -1;
+
+    let start = 0;
+    let end = Math.min(text.length, SNIPPET_RADIUS * 2);
+    if (first > SNIPPET_RADIUS) {
+        start = first - SNIPPET_RADIUS;
+        end = Math.min(text.length, first + SNIPPET_RADIUS);
+    }
+
+    const snippet = `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+    const highlights = [];
+    if (pattern) {
+        let match;
+        while ((match = pattern.exec(snippet)) !== null) {
+            if (match[0].length === 0) break;
+            highlights.push({ start: match.index, end: match.index + match[0].length });
+        }
+    }
+
+    return { snippet, highlights };
+};
+
+/**
+ * Match a file type filter: a full mimetype (image/png), a category (image) or an extension (pdf)
+ */
+const fileTypeQuery = (fileType) => {
+    const value = String(fileType).trim().toLowerCase().replace(/^\./, '');
+    if (value.includes('/')) return { 'file.mimetype': value };
+    if (FILE_CATEGORIES.includes(value)) return { 'file.mimetype': new RegExp(`^${escapeRegex(value)}/`) };
+    return { 'file.originalname': new RegExp(`\\.${escapeRegex(value)}$`, 'i') };
+};
+
+/**
+ * Search messages in the groups the user belongs to.
+ * With a query `q`, results use the text index and are ranked by relevance; without one they
+ * are filtered and returned newest first. Paging uses an opaque cursor from the previous page.
+ * Returns { error, status } or { results, nextCursor }.
+ */
+const searchMessages = async (user, {
+    q,
+    groupId,
+    senderId,
+    hasFile,
+    fileType,
+    tag,
+    mentionsMe,
+    startDate,
+    endDate,
+    cursor,
+    limit = DEFAULT_LIMIT
+} = {}) => {
+    const query = typeof q === 'string' ? q.trim() : '';
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    // Only groups the user is in, each from the date they joined (same rule as getMessages)
+    const groups = await Group.find(
+        { $or: [{ users: user._id }, { managers: user._id }] },
+        { _id: 1 }
+    ).lean();
+    let groupIds = groups.map(group => group._id);
+
+    if (groupId) {
+        if (!groupIds.some(id => id.toString() === String(groupId))) {
+            return { error: 'You are not a member of this group', status: 403 };
+        }
+        groupIds = groupIds.filter(id => id.toString() === String(groupId));
+    }
+
+    if (groupIds.length === 0) {
+        return { results: [], nextCursor: null };
+    }
+
+    const member = await User.findById(user._id, { groupId: 1, groupJoinedAt: 1, memberships: 1 }).lean();
+    const joinedAt = new Map((member?.memberships || []).map(membership => [membership.groupId.toString(), membership.joinedAt]));
+    if (member?.groupId && !joinedAt.has(member.groupId.toString())) {
+        joinedAt.set(member.groupId.toString(), member.groupJoinedAt);
+    }
+
+    const match = {
+        'deleted.isDeleted': { $ne: true },
+        $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+            {
+                $or: groupIds.map(id => {
+                    const since = joinedAt.get(id.toString());
+                    return since ? { groupId: id, createdAt: { $gte: since } } : { groupId: id };
+                })
+            }
+        ]
+    };
+
+    if (query) match.$text = { $search: query };
+
+    if (senderId) {
+        if (!mongoose.isValidObjectId(senderId)) {
+            return { error: 'Invalid sender ID', status: 400 };
+        }
+        match.senderId = new mongoose.Types.ObjectId(senderId);
+    }
+
+    if (hasFile === 'true' || hasFile === true) match['file.key'] = { $exists: true, $ne: null };
+    if (hasFile === 'false' || hasFile === false) match['file.key'] = { $in: [null] };
+    if (fileType) Object.assign(match, fileTypeQuery(fileType));
+
+    if (tag) match.tags = String(tag).replace(/^@(region:)?/i, '').toLowerCase();
+
+    if (mentionsMe === 'true' || mentionsMe === true) {
+        match.$and.push({ $or: [{ mentions: user._id }, { mentionsGroup: { $in: ['here', 'all'] } }] });
+    }
+
+    if (startDate || endDate) {
+        const range = {};
+        if (startDate) range.$gte = new Date(startDate);
+        if (endDate) range.$lte = new Date(endDate);
+        if (Object.values(range).some(date => isNaN(date.getTime()))) {
+            return { error: 'Invalid date range', status: 400 };
+        }
+        match.$and.push({ createdAt: range });
+    }
+
+    const after = cursor ? decodeCursor(cursor) : null;
+    if (cursor && !after) {
+        return { error: 'Invalid cursor', status: 400 };
+    }
+
+    const pipeline = [{ $match: match }];
+
+    if (query) {
+        pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+        if (after) {
+            const afterId = new mongoose.Types.ObjectId(after.id);
+            pipeline.push({
+                $match: {
+                    $or: [
+                        { score: { $lt: after.score } },
+                        { score: after.score, _id: { $lt: afterId } }
+                    ]
+                }
+            });
+        }
+        pipeline.push({ $sort: { score: -1, _id: -1 } });
+    } else {
+        if (after) {
+            const afterId = new mongoose.Types.ObjectId(after.id);
+            const afterDate = new Date(after.createdAt);
+            pipeline.push({
+                $match: {
+                    $or: [
+                        { createdAt: { $lt: afterDate } },
+                        { createdAt: afterDate, _id: { $lt: afterId } }
+                    ]
+                }
+            });
+        }
+        pipeline.push({ $sort: { createdAt: -1, _id: -1 } });
+    }
+
+    pipeline.push(
+        { $limit: pageSize + 1 },
+        {
+            $project: {
+                text: 1, type: 1, file: 1, tags: 1, mentions: 1, mentionsGroup: 1, senderId: 1, groupId: 1,
+                parentId: 1, createdAt: 1, edited: 1, score: 1
+            }
+        }
+    );
+
+    const messages = await Message.aggregate(pipeline);
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize);
+
+    await Message.populate(page, [
+        { path: 'senderId', select: 'username email' },
+        { path: 'groupId', select: 'name region type' }
+    ]);
+
+    const terms = extractTerms(query);
+    const results = page.map(message => ({
+        ...message,
+        ...buildSnippet(message.text, terms)
+    }));
+
+    const last = page[page.length - 1];
+    const nextCursor = hasMore && last
+        ? encodeCursor(query
+            ? { score: last.score, id: last._id }
+            : { createdAt: last.createdAt, id: last._id })
+        : null;
+
+    return { results, nextCursor };
+};
+
+module.exports = { searchMessages };
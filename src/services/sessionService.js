@@ -0,0 +1,203 @@
+const Session = require('../models/Session');
+const { getRedisClient } = require('../config/redis');
+const { signAccess, accessTtlMs } = require('../utils/token');
+const {
+    refreshTtlMs,
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeFamily
+} = require('./refreshTokenService');
+const { getTwoFactorPolicy, isRequiredFor } = require('./twoFactorService');
+
+const CACHE_PREFIX = 'session:';
+// How long a session's state is trusted from the cache; also how often lastUsedAt is written
+const ACTIVE_CACHE_SECONDS = 60;
+const MAX_DEVICE_NAME_LENGTH = 100;
+
+const cacheKey = (sessionId) => `${CACHE_PREFIX}${sessionId}`;
+
+const cacheSessionState = async (sessionId, state, ttlSeconds) => {
+    const redis = getRedisClient();
+    if (!redis) return;
+    try {
+        await redis.setEx(cacheKey(sessionId), Math.max(1, Math.ceil(ttlSeconds)), state);
+    } catch (error) {
+        console.error('Error caching session state:', error);
+    }
+};
+
+/**
+ * Start a session for a user who just authenticated.
+ * Returns { token, refreshToken, refreshTokenExpiresAt, sessionId }.
+ */
+const startSession = async (user, { userAgent, ip, deviceName } = {}) => {
+    const session = await Session.create({
+        userId: user._id,
+        deviceName: typeof deviceName === 'string' ? deviceName.trim().slice(0, MAX_DEVICE_NAME_LENGTH) || undefined : undefined,
+        userAgent,
+        ip,
+        lastIp: ip,
+        expiresAt: new Date(Date.now() + refreshTtlMs())
+    });
+
+    const { refreshToken, refreshTokenExpiresAt } = await issueRefreshToken(user._id, { familyId: session._id, userAgent, ip });
+    await cacheSessionState(session._id, 'active', ACTIVE_CACHE_SECONDS);
+
+    return {
+        token: signAccess(user, session._id),
+        refreshToken,
+        refreshTokenExpiresAt,
+        sessionId: session._id
+    };
+};
+
+/**
+ * Revoke a session: its refresh tokens stop working, its access tokens are rejected from now on
+ * and its sockets are disconnected. `userId` restricts this to one user's sessions.
+ * Returns false if there was no such active session.
+ */
+const revokeSession = async (io, sessionId, { userId, reason = 'revoked', revokedBy } = {}) => {
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, revokedAt: null, ...(userId && { userId }) },
+        { $set: { revokedAt: new Date(), revokedReason: reason, ...(revokedBy && { revokedBy }) } },
+        { new: true }
+    ).lean();
+    if (!session) return false;
+
+    await revokeFamily(session._id, reason);
+    // Access tokens of this session stay rejected for as long as any of them could still be valid
+    await cacheSessionState(session._id, 'revoked', accessTtlMs() / 1000);
+
+    try {
+        io?.in(`session:${session._id}`).disconnectSockets(true);
+    } catch (error) {
+        console.error('Error disconnecting sockets of revoked session:', error);
+    }
+
+    return true;
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one (the caller's own). Returns how many.
+ */
+const revokeUserSessions = async (io, userId, { exceptSessionId, reason = 'revoked', revokedBy } = {}) => {
+    const query = { userId, revokedAt: null };
+    if (exceptSessionId) query._id = { $ne: exceptSessionId };
+
+    const sessions = await Session.find(query, { _id: 1 }).lean();
+    let revoked = 0;
+    for (const session of sessions) {
+        if (await revokeSession(io, session._id, { userId, reason, revokedBy })) revoked++;
+    }
+    return revoked;
+};
+
+/**
+ * Whether an access token's session is still good. Checked on every request and socket connection,
+ * so the answer is cached briefly; a revocation overwrites the cached answer right away.
+ */
+const isSessionActive = async (sessionId) => {
+    if (!sessionId) return false;
+
+    const redis = getRedisClient();
+    if (redis) {
+        try {
+            const state = await redis.get(cacheKey(sessionId));
+            if (state) return state === 'active';
+        } catch (error) {
+            console.error('Error reading cached session state:', error);
+        }
+    }
+
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { lastUsedAt: new Date() } },
+        { projection: { _id: 1 } }
+    ).lean();
+
+    if (session) {
+        await cacheSessionState(sessionId, 'active', ACTIVE_CACHE_SECONDS);
+    } else {
+        await cacheSessionState(sessionId, 'revoked', accessTtlMs() / 1000);
+    }
+    return Boolean(session);
+};
+
+/**
+ * Exchange a refresh token for a new access and refresh token in the same session.
+ * Reusing an old refresh token ends the session it belonged to, access tokens included.
+ * So does the 2FA policy: a session of a role that now requires 2FA, without it, is not extended.
+ * Returns { error, status, setupRequired } or { token, refreshToken, refreshTokenExpiresAt, sessionId }.
+ */
+const refreshSession = async (io, refreshToken, { userAgent, ip } = {}) => {
+    const result = await rotateRefreshToken(refreshToken, { userAgent, ip });
+    if (result.error) {
+        if (result.reusedFamilyId) {
+            await revokeSession(io, result.reusedFamilyId, { reason: 'reuse' });
+        }
+        return { error: result.error, status: result.status };
+    }
+
+    // Logging in again asks the user to enroll, as it would for a new login
+    if (!result.user.twoFactor?.enabled && isRequiredFor(await getTwoFactorPolicy(), result.user)) {
+        await revokeSession(io, result.familyId, { reason: 'two_factor_required' });
+        return {
+            error: 'Two-factor authentication is required for your role, please log in again to set it up',
+            status: 401,
+            setupRequired: true
+        };
+    }
+
+    const session = await Session.findOneAndUpdate(
+        { _id: result.familyId, revokedAt: null },
+        { $set: { lastUsedAt: new Date(), lastIp: ip, expiresAt: result.refreshTokenExpiresAt } },
+        { new: true }
+    ).lean();
+    if (!session) {
+        await revokeFamily(result.familyId);
+        return { error: 'Session has ended, please log in again', status: 401 };
+    }
+
+    return {
+        token: signAccess(result.user, session._id),
+        refreshToken: result.refreshToken,
+        refreshTokenExpiresAt: result.refreshTokenExpiresAt,
+        sessionId: session._id
+    };
+};
+
+/**
+ * A user's active sessions, most recently used first, marking the caller's own session and the
+ * ones with a live socket. `connected` is null when the sockets could not be checked.
+ */
+const listSessions = async (io, userId, { currentSessionId } = {}) => {
+    const sessions = await Session.find(
+        { userId, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { deviceName: 1, userAgent: 1, ip: 1, lastIp: 1, lastUsedAt: 1, expiresAt: 1, createdAt: 1 }
+    ).sort({ lastUsedAt: -1 }).lean();
+
+    let connected = null;
+    if (io) {
+        try {
+            const sockets = await io.in(`user:${userId}`).fetchSockets();
+            connected = new Set(sockets.map(socket => String(socket.data?.sessionId)));
+        } catch (error) {
+            console.error('Error fetching sockets for sessions:', error);
+        }
+    }
+
+    return sessions.map(session => ({
+        ...session,
+        current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString(),
+        connected: connected ? connected.has(session._id.toString()) : null
+    }));
+};
+
+module.exports = {
+    startSession,
+    refreshSession,
+    revokeSession,
+    revokeUserSessions,
+    isSessionActive,
+    listSessions
+};
@@ -0,0 +1,17 @@
+const Setting = require('../models/Setting');
+
+const getSetting = async (key, defaultValue = null) => {
+    const setting = await Setting.findOne({ key }).lean();
+    return setting ? setting.value : defaultValue;
+};
+
+const setSetting = async (key, value, updatedBy) => {
+    const setting = await Setting.findOneAndUpdate(
+        { key },
+        { $set: { value, updatedBy } },
+        { upsert: true, new: true }
+    ).lean();
+    return setting.value;
+};
+
+module.exports = { getSetting, setSetting };
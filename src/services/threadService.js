@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+
+/**
+ * Resolve the thread root a reply should attach to.
+ * Replies to a reply are attached to the root so threads stay one level deep.
+ */
+const resolveThreadParent = async (parentId, groupId) => {
+    if (!mongoose.isValidObjectId(parentId)) {
+        return { error: 'Invalid parent message ID', status: 400 };
+    }
+
+    const parent = await Message.findById(parentId, { groupId: 1, parentId: 1, deleted: 1 }).lean();
+    if (!parent || parent.deleted?.isDeleted) {
+        return { error: 'Parent message not found', status: 404 };
+    }
+
+    if (parent.groupId.toString() !== groupId.toString()) {
+        return { error: 'Parent message belongs to a different group', status: 400 };
+    }
+
+    return { parentId: parent.parentId || parent._id };
+};
+
+/**
+ * Bump the reply counter of a thread root and return the updated thread info
+ */
+const recordThreadReply = async (parentId, replyCreatedAt) => {
+    const parent = await Message.findByIdAndUpdate(
+        parentId,
+        { $inc: { replyCount: 1 }, $set: { lastReplyAt: replyCreatedAt } },
+        { new: true, projection: { replyCount: 1, lastReplyAt: 1 } }
+    ).lean();
+
+    return {
+        parentId,
+        replyCount: parent?.replyCount || 0,
+        lastReplyAt: parent?.lastReplyAt || replyCreatedAt
+    };
+};
+
+/**
+ * Decrement the reply counter of a thread root when `count` of its replies are removed, and move
+ * lastReplyAt back to the newest reply that is left. Call it once the replies are gone.
+ */
+const removeThreadReply = async (parentId, count = 1) => {
+    const latest = await Message.findOne(
+        { parentId, 'deleted.isDeleted': { $ne: true } },
+        { createdAt: 1 }
+    ).sort({ createdAt: -1 }).lean();
+
+    const parent = await Message.findByIdAndUpdate(
+        parentId,
+        [{
+            $set: {
+                replyCount: { $max: [{ $subtract: [{ $ifNull: ['$replyCount', 0] }, count] }, 0] },
+                lastReplyAt: latest?.createdAt || null
+            }
+        }],
+        { new: true, projection: { replyCount: 1, lastReplyAt: 1 } }
+    ).lean();
+
+    return {
+        parentId,
+        replyCount: parent?.replyCount || 0,
+        lastReplyAt: parent?.lastReplyAt || null
+    };
+};
+
+module.exports = { resolveThreadParent, recordThreadReply, removeThreadReply };
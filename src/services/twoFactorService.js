@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { getSetting } = require('./settingsService');
+const { signChallenge, verify } = require('../utils/token');
+const { generateSecret, verifyCode, otpauthUrl, base32Encode } = require('../utils/totp');
+
+const POLICY_KEY = 'twoFactorPolicy';
+const REQUIRABLE_ROLES = ['admin', 'manager'];
+const RECOVERY_CODE_COUNT = 10;
+
+// Optional for everyone until an admin requires it for a role
+const DEFAULT_POLICY = { requiredRoles: [] };
+
+/**
+ * Validate a 2FA policy payload: { requiredRoles } lists the roles that must use 2FA to log in
+ */
+const validateTwoFactorPolicy = ({ requiredRoles = [] } = {}) => {
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !REQUIRABLE_ROLES.includes(role))) {
+        return { error: `requiredRoles must be an array of: ${REQUIRABLE_ROLES.join(', ')}` };
+    }
+    return { policy: { requiredRoles: [...new Set(requiredRoles)] } };
+};
+
+const getTwoFactorPolicy = () => getSetting(POLICY_KEY, DEFAULT_POLICY);
+
+const isRequiredFor = (policy, user) => (policy.requiredRoles || []).includes(user.role);
+
+// Secrets are stored AES-256-GCM encrypted as iv.tag.ciphertext
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production')
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, data] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[\s-]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+// Codes look like ABCDE-FGH23; only their hashes are kept
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * What a login needs before it gets a session: null when the user can log in straight away,
+ * otherwise { challengeToken, setupRequired } where setupRequired means the user's role requires
+ * 2FA and they have to enroll first.
+ */
+const getLoginChallenge = async (user) => {
+    if (user.twoFactor?.enabled) {
+        return { challengeToken: signChallenge(user), setupRequired: false };
+    }
+    if (isRequiredFor(await getTwoFactorPolicy(), user)) {
+        return { challengeToken: signChallenge(user, { setup: true }), setupRequired: true };
+    }
+    return null;
+};
+
+/**
+ * Read a challenge token. Returns { userId, setup } or null if it is invalid or expired.
+ */
+const verifyChallenge = (challengeToken) => {
+    if (typeof challengeToken !== 'string' || !challengeToken) return null;
+    try {
+        const payload = verify(challengeToken);
+        if (payload.typ !== '2fa') return null;
+        return { userId: payload.sub, setup: Boolean(payload.setup) };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Start enrollment: a new secret, kept pending until the user confirms it with a code.
+ * Returns { error, status } or { secret, otpauthUrl } for the authenticator app.
+ */
+const beginEnrollment = async (userId) => {
+    const user = await User.findById(userId);
+    if (!user) {
+        return { error: 'User not found', status: 404 };
+    }
+    if (user.twoFactor?.enabled) {
+        return { error: 'Two-factor authentication is already enabled', status: 409 };
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    return {
+        secret,
+        otpauthUrl: otpauthUrl({ secret, label: user.email, issuer: process.env.TWO_FACTOR_ISSUER || 'RAMA Chat' })
+    };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app.
+ * Returns { error, status } or { recoveryCodes }, which are shown to the user this once.
+ */
+const confirmEnrollment = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    if (!user) {
+        return { error: 'User not found', status: 404 };
+    }
+    if (user.twoFactor?.enabled) {
+        return { error: 'Two-factor authentication is already enabled', status: 409 };
+    }
+    const pendingSecret = user.twoFactor?.pendingSecret;
+    if (!pendingSecret) {
+        return { error: 'Start two-factor setup first', status: 400 };
+    }
+
+    const step = verifyCode(decryptSecret(pendingSecret), code);
+    if (step === null) {
+        return { error: 'Invalid code', status: 400 };
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    // Only the secret the code was checked against is enabled, even if setup was restarted meanwhile
+    const result = await User.updateOne(
+        { _id: user._id, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': pendingSecret },
+        {
+            $set: {
+                'twoFactor.enabled': true,
+                'twoFactor.secret': pendingSecret,
+                'twoFactor.recoveryCodes': hashes,
+                'twoFactor.lastUsedStep': step,
+                'twoFactor.enabledAt': new Date()
+            },
+            $unset: { 'twoFactor.pendingSecret': 1 }
+        }
+    );
+    if (result.modifiedCount === 0) {
+        return { error: 'Two-factor setup changed, please start again', status: 409 };
+    }
+
+    return { recoveryCodes: codes };
+};
+
+/**
+ * Check a second factor: a code from the authenticator app or one of the recovery codes.
+ * Either works only once. Returns { error, status } or { usedRecoveryCode, remainingRecoveryCodes }.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+    const user = await User.findById(userId).select('+twoFactor.secret');
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) {
+        return { error: 'Two-factor authentication is not enabled', status: 400 };
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } },
+            { new: true }
+        ).select('+twoFactor.recoveryCodes').lean();
+        if (!updated) {
+            return { error: 'Invalid recovery code', status: 401 };
+        }
+        return { usedRecoveryCode: true, remainingRecoveryCodes: updated.twoFactor.recoveryCodes.length };
+    }
+
+    const step = verifyCode(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) {
+        return { error: 'Invalid code', status: 401 };
+    }
+
+    // A code stays valid for its whole window; claiming its step stops it being replayed
+    const claimed = await User.updateOne(
+        {
+            _id: user._id,
+            $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (claimed.modifiedCount === 0) {
+        return { error: 'Code has already been used', status: 401 };
+    }
+
+    return { usedRecoveryCode: false };
+};
+
+/**
+ * Replace the recovery codes; the old ones stop working. Returns { error, status } or { recoveryCodes }.
+ */
+const regenerateRecoveryCodes = async (userId) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    const result = await User.updateOne(
+        { _id: userId, 'twoFactor.enabled': true },
+        { $set: { 'twoFactor.recoveryCodes': hashes } }
+    );
+    if (result.matchedCount === 0) {
+        return { error: 'Two-factor authentication is not enabled', status: 400 };
+    }
+    return { recoveryCodes: codes };
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes. Returns false if it was not enabled.
+ */
+const disableTwoFactor = async (userId) => {
+    const result = await User.updateOne(
+        { _id: userId, $or: [{ 'twoFactor.enabled': true }, { 'twoFactor.pendingSecret': { $exists: true } }] },
+        {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.secret': 1,
+                'twoFactor.pendingSecret': 1,
+                'twoFactor.recoveryCodes': 1,
+                'twoFactor.lastUsedStep': 1,
+                'twoFactor.enabledAt': 1
+            }
+        }
+    );
+    return result.modifiedCount > 0;
+};
+
+module.exports = {
+    POLICY_KEY,
+    validateTwoFactorPolicy,
+    getTwoFactorPolicy,
+    isRequiredFor,
+    getLoginChallenge,
+    verifyChallenge,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor
+};
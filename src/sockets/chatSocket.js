@@ -1,11 +1,27 @@
 const { Server } = require('socket.io');
+const mongoose = require('mongoose');
 const { createAdapter } = require('@socket.io/redis-adapter');
 const { verify } = require('../utils/token');
 const Message = require('../models/Message');
 const Group = require('../models/Group');
-const extractTags = require('../utils/parser');
+const { extractTags } = require('../utils/parser');
+const { parseFormatting } = require('../utils/formatter');
 const User = require('../models/User');
 const { sendNotification } = require('../services/notificationService');
+const { resolveThreadParent, recordThreadReply } = require('../services/threadService');
+const { updateReaction } = require('../services/reactionService');
+const { castVote } = require('../services/pollService');
+const { checkDirectSend } = require('../services/directMessageService');
+const { computeExpiresAt } = require('../services/retentionService');
+const { MAX_MESSAGE_LENGTH, validateClientMessageId, findClientMessage, buildQuote, createMessageOnce } = require('../services/messageService');
+const { advanceCursorsForMessages, getUnreadCounts } = require('../services/readCursorService');
+const { emitGroupEvent, getEventsSince } = require('../services/groupEventService');
+const { resolveMentions, notifyMentions } = require('../services/mentionService');
+const { partitionForwardTargets, requestForwardApprovals } = require('../services/forwardingService');
+const { saveDraft, deleteDraft, clearSentDraft } = require('../services/draftService');
+const { isSessionActive } = require('../services/sessionService');
+const { getMembership } = require('../services/membershipService');
+const { resolveUploadedFile } = require('../services/fileStorageService');
 require('dotenv').config();
 
 function initSocket(server, redisAdapter, app) {
@@ -64,12 +80,19 @@ function initSocket(server, redisAdapter, app) {
 
     try {
       const payload = verify(token);
+      if (!await isSessionActive(payload.sid)) {
+        console.log('Socket authentication failed: Session has ended');
+        return next(new Error('unauth'));
+      }
       console.log('Socket authentication successful:', {
         userId: payload.sub,
         role: payload.role,
         socketId: socket.id
       });
       socket.userId = payload.sub;
+      socket.sessionId = payload.sid;
+      // Kept in socket.data so other instances can see it through fetchSockets()
+      socket.data.sessionId = payload.sid;
       next();
     } catch (e) {
       console.log('Socket authentication failed: Token verification error:', e.message);
@@ -103,7 +126,19 @@ function initSocket(server, redisAdapter, app) {
     });
 
     socket.join(`user:${user._id}`);
-    if (user.groupId) socket.join(`group:${user.groupId.toString()}`);
+    // Revoking the session disconnects everything in this room
+    socket.join(`session:${socket.sessionId}`);
+    // The session may have been revoked while this socket was connecting
+    if (!await isSessionActive(socket.sessionId)) {
+      return socket.disconnect(true);
+    }
+
+    // Join every group and direct conversation the user belongs to
+    const groups = await Group.find({ $or: [{ users: user._id }, { managers: user._id }] }, { _id: 1 }).lean();
+    groups.forEach(group => socket.join(`group:${group._id}`));
+
+    // Group rooms this socket is currently subscribed to
+    const groupRooms = () => [...socket.rooms].filter(room => room.startsWith('group:'));
 
     // Join admin room if user is admin
     if (user.role === 'admin') {
@@ -111,9 +146,9 @@ function initSocket(server, redisAdapter, app) {
     }
 
     // Notify group members that user is online
-    if (user.groupId) {
-      console.log(`Emitting user:online to group:${user.groupId.toString()}`);
-      socket.to(`group:${user.groupId.toString()}`).emit('user:online', {
+    if (groupRooms().length > 0) {
+      console.log(`Emitting user:online to ${groupRooms().length} group rooms`);
+      socket.to(groupRooms()).emit('user:online', {
         userId: socket.userId,
         username: user.username,
         isOnline: true
@@ -156,8 +191,8 @@ function initSocket(server, redisAdapter, app) {
       console.log(`Testing online status for user ${user.username}`);
 
       // Emit to group members
-      if (user.groupId) {
-        socket.to(`group:${user.groupId.toString()}`).emit('user:online', {
+      if (groupRooms().length > 0) {
+        socket.to(groupRooms()).emit('user:online', {
           userId: socket.userId,
           username: user.username,
           isOnline: true,
@@ -175,7 +210,19 @@ function initSocket(server, redisAdapter, app) {
     });
 
     // Handle group joining/leaving
-    socket.on('group:join', async ({ groupId }) => {
+    socket.on('group:join', async ({ groupId } = {}) => {
+      if (!mongoose.isValidObjectId(groupId)) return;
+
+      // Only members (and admins, outside direct conversations) may listen to a group's room
+      const group = await Group.findById(groupId).populate('users managers');
+      if (!group) return;
+      const isMember = [...(group.users || []), ...(group.managers || [])]
+        .some(member => member._id.toString() === socket.userId);
+      if (!isMember && (group.type === 'direct' || user.role !== 'admin')) {
+        console.log(`User ${user.username} (${socket.userId}) refused joining group: ${groupId}`);
+        return;
+      }
+
       console.log(`User ${user.username} (${socket.userId}) joining group: ${groupId}`);
       socket.join(`group:${groupId}`);
       console.log(`Socket joined room: group:${groupId}`);
@@ -187,29 +234,27 @@ function initSocket(server, redisAdapter, app) {
       });
 
       // Send notification to group members (stored in database, not real-time)
-      const group = await Group.findById(groupId).populate('users managers');
-      if (group) {
-        const notification = {
-          type: 'user_joined',
-          title: `${user.username} joined the group`,
-          message: `${user.username} has joined ${group.name}`,
-          groupId: groupId,
-          groupName: group.name,
-          createdAt: new Date()
-        };
-
-        // Send to all group members except the user who joined
-        const allMembers = [...(group.users || []), ...(group.managers || [])];
-        for (const member of allMembers) {
-          if (member._id.toString() !== socket.userId) {
-            await sendNotification(member._id, notification);
-            // Don't emit real-time notification to avoid duplicate toasts
-          }
+      const notification = {
+        type: 'user_joined',
+        title: `${user.username} joined the group`,
+        message: `${user.username} has joined ${group.name}`,
+        groupId: groupId,
+        groupName: group.name,
+        createdAt: new Date()
+      };
+
+      // Send to all group members except the user who joined
+      const allMembers = [...(group.users || []), ...(group.managers || [])];
+      for (const member of allMembers) {
+        if (member._id.toString() !== socket.userId) {
+          await sendNotification(member._id, notification);
+          // Don't emit real-time notification to avoid duplicate toasts
         }
       }
     });
 
-    socket.on('group:leave', async ({ groupId }) => {
+    socket.on('group:leave', async ({ groupId } = {}) => {
+      if (!mongoose.isValidObjectId(groupId)) return;
       socket.leave(`group:${groupId}`);
       socket.to(`group:${groupId}`).emit('user:left', {
         userId: socket.userId,
@@ -240,211 +285,448 @@ function initSocket(server, redisAdapter, app) {
     });
 
     socket.on('message:send', async (payload, ack) => {
-      const { text, file, groupId, targetGroups } = payload;
-      const tags = extractTags(text);
-
-      // Use the groupId from payload or user's default group
-      const targetGroupId = groupId || user.groupId;
-
-      // Only forward to explicitly mentioned groups or if targetGroups is specified
-      let forwardedGroups = [];
-      if (targetGroups && targetGroups.length > 0) {
-        // If targetGroups is specified, use those
-        forwardedGroups = await Group.find({ _id: { $in: targetGroups } });
-      } else if (tags.length > 0) {
-        // Only forward to groups if explicitly tagged with @groupname
-        forwardedGroups = await Group.find({ region: { $in: tags } });
-      }
+      try {
+        const { text, file, groupId, targetGroups, parentId, quoteId, expiresIn } = payload;
+        if (text !== undefined && text !== null && (typeof text !== 'string' || text.length > MAX_MESSAGE_LENGTH)) {
+          return ack?.({ ok: false, error: `text must be a string of at most ${MAX_MESSAGE_LENGTH} characters` });
+        }
 
-      // Create the original message in the target group
-      const msg = await Message.create({
-        senderId: user._id,
-        groupId: targetGroupId,
-        text,
-        file,
-        tags,
-        forwardedToGroups: forwardedGroups.map(g => g._id)
-      });
+        const { clientMessageId, error: clientIdError } = validateClientMessageId(payload.clientMessageId);
+        if (clientIdError) {
+          return ack?.({ ok: false, error: clientIdError });
+        }
 
-      // Populate the message with sender information
-      const populatedMsg = await Message.findById(msg._id)
-        .populate('senderId', 'username email')
-        .populate('groupId', 'name region')
-        .lean();
+        // Same ack as the original send when a client retries (e.g. replaying its outbox after reconnecting)
+        const replayAck = ({ populatedMessage, thread }) => ack?.({
+          ok: true,
+          id: populatedMessage._id,
+          message: populatedMessage,
+          forwardedTo: populatedMessage.forwardedToGroups?.length || 0,
+          ...(thread && { thread }),
+          timestamp: new Date().toISOString()
+        });
 
-      // Emit to the target group with better error handling
-      try {
-        io.to(`group:${targetGroupId}`).emit('message:new', populatedMsg);
-        console.log(`📤 Message broadcasted to group: ${targetGroupId}, messageId: ${msg._id}`);
-      } catch (error) {
-        console.error('Error broadcasting message to group:', error);
-      }
+        const existing = await findClientMessage(user._id, clientMessageId);
+        if (existing) {
+          console.log(`♻️ Duplicate send ignored - clientMessageId: ${clientMessageId}`);
+          return replayAck(existing);
+        }
+
+        const tags = extractTags(text);
+        const formatted = parseFormatting(text);
+
+        // Use the groupId from payload or user's default group
+        const targetGroupId = groupId || user.groupId;
+        if (!mongoose.isValidObjectId(targetGroupId)) {
+          return ack?.({ ok: false, error: 'Group ID is required' });
+        }
+
+        // Same rule as the REST sendMessage: only members post (and forward or mention) in a group
+        const targetGroup = await Group.findById(targetGroupId, { name: 1, retention: 1, type: 1, users: 1, managers: 1 }).lean();
+        if (!targetGroup) {
+          return ack?.({ ok: false, error: 'Group not found' });
+        }
+        const isMember = targetGroup.users.some(id => id.equals(user._id)) ||
+          targetGroup.managers.some(id => id.equals(user._id));
+        const isDirect = targetGroup.type === 'direct';
+        if (!isMember) {
+          return ack?.({ ok: false, error: isDirect ? 'You are not part of this conversation' : 'You are not a member of this group' });
+        }
 
-      // Create separate message records for each forwarded group to ensure persistence
-      const forwardedMessages = [];
-      for (const group of forwardedGroups) {
-        const forwardedMsg = await Message.create({
+        // Replies attach to the root of the thread they belong to
+        let threadParentId = null;
+        if (parentId) {
+          const thread = await resolveThreadParent(parentId, targetGroupId);
+          if (thread.error) {
+            return ack?.({ ok: false, error: thread.error });
+          }
+          threadParentId = thread.parentId;
+        }
+
+        // A quote keeps a copy of the quoted message as it is right now
+        let quote;
+        if (quoteId) {
+          const quoted = await buildQuote(quoteId, { groupId: targetGroupId, userId: user._id });
+          if (quoted.error) {
+            return ack?.({ ok: false, error: quoted.error });
+          }
+          quote = quoted.quote;
+        }
+
+        // Disappearing messages get an expiry from the payload or the group's policy
+        const expiry = computeExpiresAt(targetGroup, expiresIn);
+        if (expiry.error) {
+          return ack?.({ ok: false, error: expiry.error });
+        }
+
+        // Direct conversations follow the admin-configured DM rules
+        if (isDirect) {
+          const directError = await checkDirectSend(targetGroup, user);
+          if (directError) {
+            return ack?.({ ok: false, error: directError });
+          }
+        }
+
+        const attachment = await resolveUploadedFile(file);
+        if (attachment.error) {
+          return ack?.({ ok: false, error: attachment.error });
+        }
+
+        // Only forward to explicitly mentioned groups or if targetGroups is specified.
+        // Thread replies and direct messages stay where they are and are never forwarded.
+        const canForward = !threadParentId && !isDirect;
+        let candidateGroups = [];
+        if (canForward && targetGroups && targetGroups.length > 0) {
+          // If targetGroups is specified, use those
+          candidateGroups = await Group.find({ _id: { $in: targetGroups, $ne: targetGroupId }, type: { $ne: 'direct' } });
+        } else if (canForward && tags.length > 0) {
+          // Only forward to groups whose region is explicitly tagged with @region:<name>
+          candidateGroups = await Group.find({ _id: { $ne: targetGroupId }, region: { $in: tags }, type: { $ne: 'direct' } })
+            .collation({ locale: 'en', strength: 2 });
+        }
+
+        // The forwarding policy decides which groups get the message now and which need a manager's approval
+        const {
+          allowed: forwardedGroups,
+          needsApproval,
+          denied: deniedGroups
+        } = await partitionForwardTargets(user, candidateGroups);
+
+        // @username, @here and @all mentions within the target group
+        const { mentions, mentionsGroup } = await resolveMentions(text, targetGroup);
+
+        // Create the original message in the target group
+        const { message: msg, duplicate } = await createMessageOnce({
           senderId: user._id,
-          groupId: group._id,
+          groupId: targetGroupId,
           text,
-          file,
+          formatted,
+          quote,
+          file: attachment.file,
           tags,
-          forwardedFrom: msg._id,
-          forwardedToGroups: forwardedGroups.map(g => g._id)
+          mentions,
+          mentionsGroup,
+          parentId: threadParentId,
+          expiresAt: expiry.expiresAt,
+          forwardedToGroups: forwardedGroups.map(g => g._id),
+          clientMessageId
         });
 
-        // Populate the forwarded message
-        const populatedForwardedMsg = await Message.findById(forwardedMsg._id)
+        // A concurrent retry already created (and broadcast) this message
+        if (duplicate) {
+          return replayAck(await findClientMessage(user._id, clientMessageId));
+        }
+
+        // Populate the message with sender information
+        const populatedMsg = await Message.findById(msg._id)
           .populate('senderId', 'username email')
           .populate('groupId', 'name region')
           .lean();
 
-        forwardedMessages.push(populatedForwardedMsg);
-
-        // Emit to the forwarded group with better error handling
+        // Emit to the target group with better error handling; replies go to the thread
+        let thread = null;
+        let seq = null;
         try {
-          io.to(`group:${group._id}`).emit('message:new', {
-            ...populatedForwardedMsg,
-            isForwarded: true,
-            originalGroup: { _id: targetGroupId, name: populatedMsg.groupId.name }
-          });
-          console.log(`📤 Forwarded message broadcasted to group: ${group._id}, messageId: ${forwardedMsg._id}`);
+          if (threadParentId) {
+            thread = await recordThreadReply(threadParentId, msg.createdAt);
+            seq = await emitGroupEvent(io, targetGroupId, 'thread:reply', { ...thread, message: populatedMsg });
+            console.log(`🧵 Thread reply broadcasted to group: ${targetGroupId}, parentId: ${threadParentId}`);
+          } else {
+            seq = await emitGroupEvent(io, targetGroupId, 'message:new', populatedMsg);
+            console.log(`📤 Message broadcasted to group: ${targetGroupId}, messageId: ${msg._id}`);
+          }
         } catch (error) {
-          console.error('Error broadcasting forwarded message to group:', error);
+          console.error('Error broadcasting message to group:', error);
         }
-      }
 
-      // Send notifications for new messages (optimized for large groups)
-      const group = await Group.findById(targetGroupId).populate('users managers');
-      if (group) {
-        const notification = {
-          type: 'message',
-          title: `New message from ${user.username}`,
-          message: text || 'Sent a file',
-          groupId: targetGroupId,
-          groupName: group.name,
-          senderId: user._id,
-          senderUsername: user.username,
-          createdAt: new Date()
-        };
+        // Create separate message records for each forwarded group to ensure persistence
+        const forwardedMessages = [];
+        for (const group of forwardedGroups) {
+          const forwardedMsg = await Message.create({
+            senderId: user._id,
+            groupId: group._id,
+            text,
+            formatted,
+            file: attachment.file,
+            tags,
+            forwardedFrom: msg._id,
+            expiresAt: computeExpiresAt(group).expiresAt,
+            forwardedToGroups: forwardedGroups.map(g => g._id)
+          });
 
-        // Optimize notification sending for large groups
-        const allMembers = [...(group.users || []), ...(group.managers || [])];
-        const notificationPromises = [];
-        
-        // Batch process notifications for better performance
-        for (const member of allMembers) {
-          if (member._id.toString() !== socket.userId) {
-            // Add notification to batch
-            notificationPromises.push(
-              sendNotification(member._id, notification).catch(error => {
-                console.error(`Error sending notification to user ${member._id}:`, error);
-              })
-            );
-            
-            // Emit real-time notification to user
-            try {
-              io.to(`user:${member._id}`).emit('notification:new', notification);
-            } catch (error) {
-              console.error('Error emitting notification to user:', error);
-            }
+          // Populate the forwarded message
+          const populatedForwardedMsg = await Message.findById(forwardedMsg._id)
+            .populate('senderId', 'username email')
+            .populate('groupId', 'name region')
+            .lean();
+
+          forwardedMessages.push(populatedForwardedMsg);
+
+          // Emit to the forwarded group with better error handling
+          try {
+            await emitGroupEvent(io, group._id, 'message:new', {
+              ...populatedForwardedMsg,
+              isForwarded: true,
+              originalGroup: { _id: targetGroupId, name: populatedMsg.groupId.name }
+            });
+            console.log(`📤 Forwarded message broadcasted to group: ${group._id}, messageId: ${forwardedMsg._id}`);
+          } catch (error) {
+            console.error('Error broadcasting forwarded message to group:', error);
           }
         }
-        
-        // Process all notifications in parallel
-        if (notificationPromises.length > 0) {
-          Promise.allSettled(notificationPromises).then(results => {
-            const successful = results.filter(r => r.status === 'fulfilled').length;
-            const failed = results.filter(r => r.status === 'rejected').length;
-            console.log(`📢 Notifications sent: ${successful} successful, ${failed} failed`);
-          });
-        }
-      }
 
-      // Send notifications to forwarded groups as well
-      for (const forwardedGroup of forwardedGroups) {
-        const forwardedGroupData = await Group.findById(forwardedGroup._id).populate('users managers');
-        if (forwardedGroupData) {
-          const forwardedNotification = {
+        // Forwards that need approval wait in the target groups' moderation queues
+        const pendingForwards = needsApproval.length > 0
+          ? await requestForwardApprovals(io, { sender: user, original: msg, groups: needsApproval, text })
+          : [];
+
+        // Mentioned users get a high-priority mention notification instead of the regular one
+        const mentioned = new Set(await notifyMentions({ io, message: msg, group: targetGroup, sender: user }));
+
+        // The draft this was composed in is done; the sender's other devices drop it too
+        clearSentDraft(io, { userId: user._id, groupId: targetGroupId, parentId: threadParentId, sentAt: msg.createdAt })
+          .catch(error => console.error('Error clearing sent draft:', error));
+
+        // Send notifications for new messages (optimized for large groups)
+        const group = await Group.findById(targetGroupId).populate('users managers');
+        if (group) {
+          const notification = {
             type: 'message',
-            title: `New message from ${user.username} (from ${group.name})`,
+            title: `New message from ${user.username}`,
             message: text || 'Sent a file',
-            groupId: forwardedGroup._id,
-            groupName: forwardedGroup.name,
+            groupId: targetGroupId,
+            groupName: isDirect ? user.username : group.name,
+            ...(isDirect && { isDirect: true }),
             senderId: user._id,
             senderUsername: user.username,
+            ...(threadParentId && { parentId: threadParentId }),
             createdAt: new Date()
           };
 
-          // Send to all forwarded group members except the sender
-          const allForwardedMembers = [...(forwardedGroupData.users || []), ...(forwardedGroupData.managers || [])];
-          for (const member of allForwardedMembers) {
-            if (member._id.toString() !== socket.userId) {
-              await sendNotification(member._id, forwardedNotification);
-              // Emit real-time notification to user with better error handling
+          // Optimize notification sending for large groups
+          const allMembers = [...(group.users || []), ...(group.managers || [])];
+          const notificationPromises = [];
+        
+          // Batch process notifications for better performance
+          for (const member of allMembers) {
+            if (member._id.toString() !== socket.userId && !mentioned.has(member._id.toString())) {
+              // Add notification to batch
+              notificationPromises.push(
+                sendNotification(member._id, notification).catch(error => {
+                  console.error(`Error sending notification to user ${member._id}:`, error);
+                })
+              );
+            
+              // Emit real-time notification to user
               try {
-                io.to(`user:${member._id}`).emit('notification:new', forwardedNotification);
-                console.log(`📢 Forwarded notification sent to user: ${member._id}`);
+                io.to(`user:${member._id}`).emit('notification:new', notification);
               } catch (error) {
-                console.error('Error sending forwarded notification to user:', error);
+                console.error('Error emitting notification to user:', error);
               }
             }
           }
+        
+          // Process all notifications in parallel
+          if (notificationPromises.length > 0) {
+            Promise.allSettled(notificationPromises).then(results => {
+              const successful = results.filter(r => r.status === 'fulfilled').length;
+              const failed = results.filter(r => r.status === 'rejected').length;
+              console.log(`📢 Notifications sent: ${successful} successful, ${failed} failed`);
+            });
+          }
         }
-      }
 
-      // Send acknowledgment back to sender with enhanced data
-      ack?.({
-        ok: true,
-        id: msg._id,
-        message: populatedMsg,
-        forwardedTo: forwardedMessages.length,
-        timestamp: new Date().toISOString()
-      });
+        // Send notifications to forwarded groups as well
+        for (const forwardedGroup of forwardedGroups) {
+          const forwardedGroupData = await Group.findById(forwardedGroup._id).populate('users managers');
+          if (forwardedGroupData) {
+            const forwardedNotification = {
+              type: 'message',
+              title: `New message from ${user.username} (from ${group.name})`,
+              message: text || 'Sent a file',
+              groupId: forwardedGroup._id,
+              groupName: forwardedGroup.name,
+              senderId: user._id,
+              senderUsername: user.username,
+              createdAt: new Date()
+            };
+
+            // Send to all forwarded group members except the sender
+            const allForwardedMembers = [...(forwardedGroupData.users || []), ...(forwardedGroupData.managers || [])];
+            for (const member of allForwardedMembers) {
+              if (member._id.toString() !== socket.userId) {
+                await sendNotification(member._id, forwardedNotification);
+                // Emit real-time notification to user with better error handling
+                try {
+                  io.to(`user:${member._id}`).emit('notification:new', forwardedNotification);
+                  console.log(`📢 Forwarded notification sent to user: ${member._id}`);
+                } catch (error) {
+                  console.error('Error sending forwarded notification to user:', error);
+                }
+              }
+            }
+          }
+        }
+
+        // Send acknowledgment back to sender with enhanced data
+        ack?.({
+          ok: true,
+          id: msg._id,
+          message: populatedMsg,
+          forwardedTo: forwardedMessages.length,
+          pendingApproval: pendingForwards.length,
+          deniedForwards: deniedGroups.length,
+          ...(thread && { thread }),
+          ...(seq !== null && { seq }),
+          timestamp: new Date().toISOString()
+        });
       
-      console.log(`✅ Message sent successfully - Group: ${targetGroupId}, Forwarded to: ${forwardedMessages.length} groups`);
+        console.log(`✅ Message sent successfully - Group: ${targetGroupId}, Forwarded to: ${forwardedMessages.length} groups`);
+      } catch (error) {
+        console.error('Error sending message:', error);
+        ack?.({ ok: false, error: 'Failed to send message' });
+      }
     });
 
-    // Handle message seen status (optimized for large groups)
-    socket.on('message:seen', async ({ messageId, groupId, messageIds }) => {
+    // Message seen: moves the user's read cursor for the group instead of writing to every message.
+    // Accepts a single messageId or a list; only the newest one matters.
+    socket.on('message:seen', async ({ messageId, messageIds } = {}, ack) => {
       try {
-        // Handle bulk message seen for better performance
-        if (messageIds && Array.isArray(messageIds)) {
-          const updatePromises = messageIds.map(id => 
-            Message.updateOne(
-              { _id: id, groupId, seenBy: { $ne: socket.userId } },
-              { $addToSet: { seenBy: socket.userId } }
-            )
-          );
-          
-          await Promise.all(updatePromises);
-          
-          // Emit bulk seen status
-          io.to(`group:${groupId}`).emit('messages:seen', {
-            messageIds,
+        const ids = Array.isArray(messageIds) ? messageIds : [messageId].filter(Boolean);
+        const cursors = await advanceCursorsForMessages(socket.userId, ids, 'read');
+
+        // Broadcast only: read receipts would crowd message events out of the resync log, and
+        // reconnecting clients load current receipts with their messages anyway
+        for (const cursor of cursors) {
+          io.to(`group:${cursor.groupId}`).emit('read:updated', {
             userId: socket.userId,
-            timestamp: new Date()
+            ...cursor
+          });
+        }
+
+        // Let the user's other devices clear their unread badges
+        if (cursors.length > 0) {
+          io.to(`user:${socket.userId}`).emit('unread:updated', {
+            groups: await getUnreadCounts(socket.userId)
           });
-        } else if (messageId) {
-          // Handle single message seen
-          const message = await Message.findById(messageId);
-          if (message && message.groupId.toString() === groupId) {
-            if (!message.seenBy.includes(socket.userId)) {
-              message.seenBy.push(socket.userId);
-              await message.save();
-              
-              // Emit seen status to all group members
-              io.to(`group:${groupId}`).emit('message:seen', {
-                messageId,
-                seenBy: message.seenBy,
-                userId: socket.userId,
-                timestamp: new Date()
-              });
-            }
-          }
         }
+
+        ack?.({ ok: true, cursors });
       } catch (error) {
         console.error('Error handling message seen:', error);
+        ack?.({ ok: false, error: 'Failed to update read status' });
+      }
+    });
+
+    // Message delivered: moves the delivery cursor, no broadcast
+    socket.on('message:delivered', async ({ messageIds } = {}, ack) => {
+      try {
+        const cursors = await advanceCursorsForMessages(socket.userId, messageIds, 'delivered');
+        ack?.({ ok: true, cursors });
+      } catch (error) {
+        console.error('Error handling message delivered:', error);
+        ack?.({ ok: false, error: 'Failed to update delivery status' });
+      }
+    });
+
+    // Emoji reactions - action is 'add' or 'remove'
+    socket.on('message:react', async ({ messageId, emoji, action = 'add' } = {}, ack) => {
+      try {
+        const result = await updateReaction({ messageId, userId: user._id, emoji, action });
+        if (result.error) {
+          return ack?.({ ok: false, error: result.error });
+        }
+
+        await emitGroupEvent(io, result.groupId, 'message:reaction', result);
+        ack?.({ ok: true, ...result });
+      } catch (error) {
+        console.error('Error handling message reaction:', error);
+        ack?.({ ok: false, error: 'Failed to update reaction' });
+      }
+    });
+
+    // Poll voting - optionIds replaces the user's previous choices
+    socket.on('poll:vote', async ({ messageId, optionIds } = {}, ack) => {
+      try {
+        const result = await castVote({ messageId, userId: user._id, optionIds });
+        if (result.error) {
+          return ack?.({ ok: false, error: result.error });
+        }
+
+        const { myVotes, ...update } = result;
+        await emitGroupEvent(io, result.groupId, 'poll:updated', update);
+        ack?.({ ok: true, ...update, myVotes });
+      } catch (error) {
+        console.error('Error handling poll vote:', error);
+        ack?.({ ok: false, error: 'Failed to record vote' });
+      }
+    });
+
+    // Resync after a reconnect: replay group events after the last sequence number the client saw.
+    // `groups` is a list of { groupId, since }; a `reset` result means the client should reload that group.
+    socket.on('sync:events', async ({ groups = [], limit } = {}, ack) => {
+      try {
+        const requested = (Array.isArray(groups) ? groups : [])
+          .filter(entry => entry && mongoose.isValidObjectId(entry.groupId));
+
+        const memberGroupIds = new Set((await Group.find(
+          {
+            _id: { $in: requested.map(entry => entry.groupId) },
+            $or: [{ users: user._id }, { managers: user._id }]
+          },
+          { _id: 1 }
+        ).lean()).map(group => group._id.toString()));
+
+        const results = [];
+        for (const { groupId, since } of requested) {
+          if (!memberGroupIds.has(groupId.toString())) {
+            results.push({ groupId, error: 'You are not a member of this group' });
+            continue;
+          }
+          const membership = await getMembership(user._id, groupId);
+          results.push({ groupId, ...(await getEventsSince(groupId, since, limit, { joinedAt: membership?.joinedAt })) });
+        }
+
+        ack?.({ ok: true, groups: results });
+      } catch (error) {
+        console.error('Error handling event sync:', error);
+        ack?.({ ok: false, error: 'Failed to sync events' });
+      }
+    });
+
+    // Drafts: saved on the server and mirrored to the user's other devices (not back to this one)
+    socket.on('draft:update', async ({ groupId, parentId, text } = {}, ack) => {
+      try {
+        const result = await saveDraft(user._id, { groupId, parentId, text });
+        if (result.error) {
+          return ack?.({ ok: false, error: result.error });
+        }
+
+        if (result.draft) {
+          socket.to(`user:${user._id}`).emit('draft:updated', result.draft);
+        } else {
+          socket.to(`user:${user._id}`).emit('draft:cleared', { groupId, parentId: result.parentId });
+        }
+        ack?.({ ok: true, draft: result.draft });
+      } catch (error) {
+        console.error('Error saving draft:', error);
+        ack?.({ ok: false, error: 'Failed to save draft' });
+      }
+    });
+
+    socket.on('draft:clear', async ({ groupId, parentId } = {}, ack) => {
+      try {
+        if (!mongoose.isValidObjectId(groupId) || (parentId && !mongoose.isValidObjectId(parentId))) {
+          return ack?.({ ok: false, error: 'Invalid group or parent message ID' });
+        }
+
+        if (await deleteDraft(user._id, groupId, parentId)) {
+          socket.to(`user:${user._id}`).emit('draft:cleared', { groupId, parentId: parentId || null });
+        }
+        ack?.({ ok: true });
+      } catch (error) {
+        console.error('Error clearing draft:', error);
+        ack?.({ ok: false, error: 'Failed to clear draft' });
       }
     });
 
@@ -469,6 +751,10 @@ function initSocket(server, redisAdapter, app) {
     });
 
     socket.on('disconnect', async () => {
+      // socket.rooms is already empty once disconnected, so look the groups up again
+      const memberGroups = await Group.find({ $or: [{ users: user._id }, { managers: user._id }] }, { _id: 1 }).lean();
+      const rooms = memberGroups.map(group => `group:${group._id}`);
+
       // Update user offline status and last seen
       await User.findByIdAndUpdate(socket.userId, {
         isOnline: false,
@@ -476,9 +762,9 @@ function initSocket(server, redisAdapter, app) {
       });
 
       // Notify group members that user is offline
-      if (user.groupId) {
-        console.log(`Emitting user:offline to group:${user.groupId.toString()}`);
-        socket.to(`group:${user.groupId.toString()}`).emit('user:offline', {
+      if (rooms.length > 0) {
+        console.log(`Emitting user:offline to ${rooms.length} group rooms`);
+        socket.to(rooms).emit('user:offline', {
           userId: socket.userId,
           username: user.username,
           isOnline: false,
@@ -0,0 +1,75 @@
+// Strength rules for passwords and PINs, configured through PASSWORD_MIN_LENGTH,
+// PASSWORD_MIN_CHARACTER_CLASSES, PIN_MIN_LENGTH and PIN_MAX_LENGTH.
+// Validators return an error message, or null when the value is acceptable.
+const PASSWORD_MAX_BYTES = 72; // bcrypt ignores anything past this
+const CHARACTER_CLASSES = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/];
+
+const passwordRules = () => ({
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8'),
+    minClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES || '2')
+});
+
+const pinRules = () => ({
+    minLength: parseInt(process.env.PIN_MIN_LENGTH || '4'),
+    maxLength: parseInt(process.env.PIN_MAX_LENGTH || '8')
+});
+
+/**
+ * Check a new password against the rules. `user` ({ username, email }) rules out passwords that
+ * contain the user's own name or email.
+ */
+const validatePassword = (password, { username, email } = {}) => {
+    if (typeof password !== 'string' || !password) {
+        return 'Password is required';
+    }
+
+    const { minLength, minClasses } = passwordRules();
+    if (password.length < minLength) {
+        return `Password must be at least ${minLength} characters long`;
+    }
+    if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) {
+        return `Password must be at most ${PASSWORD_MAX_BYTES} bytes long`;
+    }
+    if (CHARACTER_CLASSES.filter(regex => regex.test(password)).length < minClasses) {
+        return `Password must mix at least ${minClasses} of: lowercase letters, uppercase letters, digits, symbols`;
+    }
+
+    const lower = password.toLowerCase();
+    const personal = [username, typeof email === 'string' ? email.split('@')[0] : null]
+        .filter(value => typeof value === 'string' && value.length >= 3)
+        .map(value => value.toLowerCase());
+    if (personal.some(value => lower.includes(value))) {
+        return 'Password must not contain your username or email';
+    }
+
+    return null;
+};
+
+/**
+ * Check a new PIN: digits only, within the configured length, and not trivially guessable
+ * (one repeated digit or a run like 1234 / 9876)
+ */
+const validatePin = (pin) => {
+    if (typeof pin !== 'string' || !/^\d+$/.test(pin)) {
+        return 'PIN must be a string of digits';
+    }
+
+    const { minLength, maxLength } = pinRules();
+    if (pin.length < minLength || pin.length > maxLength) {
+        return `PIN must be ${minLength} to ${maxLength} digits long`;
+    }
+    if (/^(\d)\1+$/.test(pin)) {
+        return 'PIN must not be one repeated digit';
+    }
+
+    const step = pin.charCodeAt(1) - pin.charCodeAt(0);
+    const isRun = Math.abs(step) === 1 &&
+        [...pin].every((digit, i) => i === 0 || pin.charCodeAt(i) - pin.charCodeAt(i - 1) === step);
+    if (isRun) {
+        return 'PIN must not be a run of digits like 1234';
+    }
+
+    return null;
+};
+
+module.exports = { validatePassword, validatePin };
@@ -0,0 +1,167 @@
+// Restricted markdown: **bold**, *italic*, `code`, ``` code blocks ```, - / 1. lists and [links](https://...).
+// Messages are parsed into plain data (never HTML), so clients render the same structure and
+// anything that is not part of this subset stays literal text.
+const FORMAT_VERSION = 1;
+const MAX_INLINE_DEPTH = 4;
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const CODE_FENCE_REGEX = /^\s*```\s*([\w+#-]{0,20})\s*$/;
+const UNORDERED_ITEM_REGEX = /^\s*[-*•]\s+(.*)$/;
+const ORDERED_ITEM_REGEX = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+// Earliest match wins: code spans, [label](url), bare URLs, **bold** / __bold__, *italic* / _italic_.
+// Underscores only count at word boundaries so snake_case stays as typed.
+const INLINE_REGEX = new RegExp([
+    '`([^`\\n]+)`',
+    '\\[([^\\]\\n]+)\\]\\(([^)\\s]+)\\)',
+    '(https?:\\/\\/[^\\s<>()]*[^\\s<>().,;:!?\'"])',
+    '\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*',
+    '(?<![\\w_])__(?=\\S)([\\s\\S]*?\\S)__(?![\\w_])',
+    '\\*(?=[^\\s*])([^*]*?[^\\s*])\\*',
+    '(?<![\\w_])_(?=[^\\s_])([^_]*?[^\\s_])_(?![\\w_])'
+].join('|'), 'g');
+
+/**
+ * Normalize a link target, or return null if it is not an absolute http(s)/mailto URL
+ */
+const safeUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const pushText = (nodes, text) => {
+    if (!text) return;
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === 'text') {
+        last.text += text;
+    } else {
+        nodes.push({ type: 'text', text });
+    }
+};
+
+const parseInline = (text, depth = 0) => {
+    const nodes = [];
+    if (depth >= MAX_INLINE_DEPTH) {
+        pushText(nodes, text);
+        return nodes;
+    }
+
+    const regex = new RegExp(INLINE_REGEX.source, 'g');
+    let lastIndex = 0;
+    let m;
+    while ((m = regex.exec(text)) !== null) {
+        const [match, code, label, href, bareUrl, bold, boldUnderscore, italic, italicUnderscore] = m;
+        pushText(nodes, text.slice(lastIndex, m.index));
+        lastIndex = m.index + match.length;
+
+        if (code !== undefined) {
+            nodes.push({ type: 'code', text: code });
+        } else if (label !== undefined) {
+            const url = safeUrl(href);
+            if (url) {
+                nodes.push({ type: 'link', url, text: label });
+            } else {
+                pushText(nodes, match);
+            }
+        } else if (bareUrl !== undefined) {
+            const url = safeUrl(bareUrl);
+            if (url) {
+                nodes.push({ type: 'link', url, text: bareUrl });
+            } else {
+                pushText(nodes, match);
+            }
+        } else if (bold !== undefined || boldUnderscore !== undefined) {
+            nodes.push({ type: 'bold', children: parseInline(bold ?? boldUnderscore, depth + 1) });
+        } else {
+            nodes.push({ type: 'italic', children: parseInline(italic ?? italicUnderscore, depth + 1) });
+        }
+    }
+    pushText(nodes, text.slice(lastIndex));
+    return nodes;
+};
+
+// Lines of a paragraph keep their line breaks
+const parseParagraph = (lines) => {
+    const children = [];
+    lines.forEach((line, index) => {
+        if (index > 0) children.push({ type: 'break' });
+        for (const node of parseInline(line)) {
+            if (node.type === 'text') pushText(children, node.text);
+            else children.push(node);
+        }
+    });
+    return { type: 'paragraph', children };
+};
+
+/**
+ * Parse message text into { version, blocks }.
+ * Blocks are paragraph (inline children), code_block (language, text) and list (ordered, start, items);
+ * inline nodes are text, break, bold, italic (with children), code (text) and link (url, text).
+ * Returns undefined for empty text.
+ */
+const parseFormatting = (text) => {
+    if (typeof text !== 'string' || !text.trim()) return undefined;
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) blocks.push(parseParagraph(paragraph));
+        paragraph = [];
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fence = CODE_FENCE_REGEX.exec(line);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            i++;
+            while (i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            // An unclosed fence runs to the end of the message
+            blocks.push({ type: 'code_block', ...(fence[1] && { language: fence[1].toLowerCase() }), text: code.join('\n') });
+            continue;
+        }
+
+        const ordered = ORDERED_ITEM_REGEX.exec(line);
+        const unordered = !ordered && UNORDERED_ITEM_REGEX.exec(line);
+        if (ordered || unordered) {
+            flushParagraph();
+            const isOrdered = Boolean(ordered);
+            const itemRegex = isOrdered ? ORDERED_ITEM_REGEX : UNORDERED_ITEM_REGEX;
+            const items = [];
+            let item;
+            while (i < lines.length && (item = itemRegex.exec(lines[i]))) {
+                items.push(parseInline(isOrdered ? item[2] : item[1]));
+                i++;
+            }
+            i--;
+            blocks.push({
+                type: 'list',
+                ordered: isOrdered,
+                ...(isOrdered && { start: parseInt(ordered[1]) }),
+                items
+            });
+            continue;
+        }
+
+        if (!line.trim()) {
+            flushParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+    flushParagraph();
+
+    return { version: FORMAT_VERSION, blocks };
+};
+
+module.exports = { parseFormatting };
@@ -1,11 +1,30 @@
+// Region forwarding uses an explicit prefix so it can never be confused with a user mention
+const REGION_TAG_REGEX = /@region:([a-z0-9_-]+)/ig;
+// @username, @here and @all; the lookbehind skips e-mail addresses and @region:<name> is left to REGION_TAG_REGEX.
+// A colon after a name ("@bob: can you check") still counts as a mention.
+const MENTION_REGEX = /(?<![\w@.])@(?!region:)([a-z0-9_.-]+)(?![\w.-])/ig;
+
 const extractTags = (text) => {
-    const regex = /@([a-z0-9_-]+)/ig;
     const out = new Set();
     let m;
-    while ((m = regex.exec(text)) !== null) {
+    while ((m = REGION_TAG_REGEX.exec(text || '')) !== null) {
         out.add(m[1].toLowerCase());
     }
     return [...out];
 }
 
-module.exports = extractTags;
+const extractMentions = (text) => {
+    const usernames = new Set();
+    let here = false;
+    let all = false;
+    let m;
+    while ((m = MENTION_REGEX.exec(text || '')) !== null) {
+        const name = m[1].replace(/[.-]+$/, '').toLowerCase();
+        if (name === 'here') here = true;
+        else if (name === 'all') all = true;
+        else if (name) usernames.add(name);
+    }
+    return { usernames: [...usernames], here, all };
+}
+
+module.exports = { extractTags, extractMentions };
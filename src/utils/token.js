@@ -1,13 +1,33 @@
 const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
-const signAccess = (user) =>
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// '24h', '7d', '15m' or plain seconds, in milliseconds
+const parseDuration = (value, fallbackMs) => {
+    const match = /^(\d+)\s*([smhd])?$/.exec(String(value || '').trim());
+    return match ? parseInt(match[1]) * DURATION_UNITS[match[2] || 's'] : fallbackMs;
+};
+
+const accessTtlMs = () => parseDuration(process.env.JWT_EXPIRES_IN || '24h', DURATION_UNITS.d);
+
+// Access tokens name the session they belong to, so revoking the session revokes them too
+const signAccess = (user, sessionId) =>
     jwt.sign(
-        { sub: user._id, role: user.role },
+        { sub: user._id, role: user.role, sid: sessionId },
         process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
         { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
     );
 
+// Short-lived proof that a login passed its first factor and now needs a 2FA code (or, with
+// `setup`, enrollment). It names no session, so it is never accepted as an access token.
+const signChallenge = (user, { setup = false } = {}) =>
+    jwt.sign(
+        { sub: user._id, typ: '2fa', setup },
+        process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production',
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+    );
+
 const verify = (token) => jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
 
-module.exports = { signAccess, verify };
+module.exports = { signAccess, signChallenge, verify, parseDuration, accessTtlMs };
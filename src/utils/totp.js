@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps), as used by
+// Google Authenticator, Authy, 1Password and friends
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, the size RFC 4226 recommends
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code against the current time step and `window` steps either side (clock drift).
+ * Returns the matching step, or null. Callers store the step so a code cannot be used twice.
+ */
+const verifyCode = (secret, code, { window = 1, now = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) return null;
+
+    const step = currentStep(now);
+    const expected = Buffer.from(normalized);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = Buffer.from(generateCode(secret, step + offset));
+        if (crypto.timingSafeEqual(candidate, expected)) return step + offset;
+    }
+    return null;
+};
+
+const otpauthUrl = ({ secret, label, issuer }) => {
+    // Percent-encoded rather than URLSearchParams, whose '+' for spaces some apps show literally
+    const params = { secret, issuer, algorithm: 'SHA1', digits: DIGITS, period: PERIOD_SECONDS };
+    const query = Object.entries(params)
+        .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+        .join('&');
+    return `otpauth://totp/${encodeURIComponent(issuer)}:${encodeURIComponent(label)}?${query}`;
+};
+
+module.exports = { generateSecret, generateCode, verifyCode, otpauthUrl, base32Encode };